@@ -6,7 +6,8 @@
  * fused Sentinel-1 and Sentinel-2 approach with a Random Forest classifier.
  * This version extracts and displays only the flooded pixels.
  *
- * NOTE: This code assumes you have imported the 'Nepal' asset in your Imports tab.
+ * NOTE: Unless CONFIG.ADMIN_BOUNDARIES is set, the default AOI, admin-unit
+ * picker and zonal statistics use the 'Nepal' asset from your Imports tab.
  *
  ******************************************************************************/
 
@@ -18,22 +19,199 @@ var CONFIG = {
   // Data sources
   S1_COLLECTION: 'COPERNICUS/S1_GRD',
   S2_COLLECTION: 'COPERNICUS/S2_SR',
+  S2_CLOUD_PROBABILITY: 'COPERNICUS/S2_CLOUD_PROBABILITY', // s2cloudless, same system:index as S2_SR
   DEM: 'USGS/SRTMGL1_003',
+  JRC_WATER: 'JRC/GSW1_4/GlobalSurfaceWater',
+  HAND: 'MERIT/Hydro/v1_0_1', // 'hnd' band: Height Above Nearest Drainage (m)
+
+  // Impact assessment data
+  POPULATION: 'WorldPop/GP/100m/pop', // 'population' band, people per 100 m pixel
+  POPULATION_YEAR: 2020,
+  LAND_COVER: 'ESA/WorldCover/v200', // 'Map' band
+  BUILDINGS: 'GOOGLE/Research/open-buildings/v3/polygons',
+  BUILDING_MIN_CONFIDENCE: 0.75,
+  ROADS: null, // Optional road-line FeatureCollection asset, e.g. an OpenStreetMap export
+
+  // Precipitation products for the rainfall panel. 'toMm' converts the sum of
+  // a day's images to millimetres (IMERG is half-hourly, in mm/hr).
+  RAINFALL_SOURCES: [
+    {label: 'CHIRPS', collection: 'UCSB-CHG/CHIRPS/DAILY', band: 'precipitation', toMm: 1},
+    {label: 'GPM IMERG', collection: 'NASA/GPM_L3/IMERG_V07', band: 'precipitation', toMm: 0.5}
+  ],
+  RAINFALL_SCALE: 1000, // metres, fine enough that small AOIs still hit a pixel
+
+  // Administrative boundaries for the default AOI, the admin-unit AOI picker
+  // and zonal statistics. A null asset uses the 'Nepal' import.
+  ADMIN_BOUNDARIES: null,
+  ADMIN_NAME_COLUMN: 'GaPa_NaPa',
+  ADMIN_LEVELS: ['DISTRICT', 'GaPa_NaPa'], // Picker columns, coarse to fine
+  DEFAULT_AOI_COLUMN: 'GaPa_NaPa',
+  DEFAULT_AOI_VALUE: 'Melamchi',
+  DEFAULT_AOI_FALLBACK: [85.58, 27.83], // lon, lat used when the default unit is missing
+  AOI_MAX_ERROR: 10, // metres, when dissolving loaded features into one AOI
 
   // Default analysis parameters
   DEFAULT_START_DATE: '2021-06-01',
   DEFAULT_END_DATE: '2021-07-31',
-  DEFAULT_S1_ORBIT: 'DESCENDING',
+  DEFAULT_PRE_START_DATE: '2021-01-01', // Dry-season reference window
+  DEFAULT_PRE_END_DATE: '2021-03-31',
+  DEFAULT_S1_ORBIT: 'DESCENDING', // 'ASCENDING', 'DESCENDING' or 'BOTH'
+  SPECKLE_KERNEL_SIZE: 7, // pixels (odd); Refined Lee always uses 7x7
+  S1_ENL: 5, // equivalent number of looks of IW GRD scenes, used by Lee and Gamma-MAP
   DEFAULT_RF_TREES: 500,
+  DEFAULT_RF_MIN_LEAF: 1,
+  DEFAULT_RF_BAG_FRACTION: 0.5,
+  DEFAULT_GTB_TREES: 100,
+  DEFAULT_GTB_SHRINKAGE: 0.05,
+  DEFAULT_GTB_SAMPLING_RATE: 0.7,
+  DEFAULT_SVM_KERNEL: 'RBF',
+  DEFAULT_SVM_GAMMA: 0.5,
+  DEFAULT_SVM_COST: 10,
+  DEFAULT_CART_MIN_LEAF: 1,
+  DEFAULT_PROBABILITY_CUTOFF: 0.5, // Flood probability at or above which a pixel is flood
+  GRID_TUNE_FRACTION: 0.8, // Share of the training split used to fit each grid candidate
+  GRID_HOLDOUT_FRACTION: 0.2, // Share of samples held out of cross-validation for tuning
   DEFAULT_TRAINING_SPLIT: 0.7, // 70% for training, 30% for validation
+  DEFAULT_SEED: 0,
+  DEFAULT_FOLDS: 5,
+  DEFAULT_BLOCK_SIZE: 1000, // metres, grid cell size for spatial block CV
+  DEFAULT_SAMPLES_PER_CLASS: 500, // cap per class for stratified balancing
+  MIN_S2_COVERAGE: 0.3, // Auto mode drops S2 below this cloud-free fraction of the AOI
+  DEFAULT_CLOUD_PROBABILITY: 50, // s2cloudless probability (%) above which a pixel is cloud
+  NIR_DARK_THRESHOLD: 0.15, // B8 reflectance below which a pixel may be cloud shadow
+  CLOUD_PROJECTION_DISTANCE: 1, // km, how far shadows are projected from clouds
+  CLOUD_BUFFER: 50, // metres added around clouds and shadows
+  SCL_MASK_CLASSES: [1, 3, 8, 9, 10], // saturated, cloud shadow, cloud medium/high, cirrus
   DEFAULT_SLOPE_THRESHOLD: 5, // degrees
   DEFAULT_CONNECTIVITY_THRESHOLD: 8, // pixels
+  DEFAULT_HAND_THRESHOLD: 15, // metres above nearest drainage
+  DEFAULT_JRC_OCCURRENCE_THRESHOLD: 80, // % of months observed as water (1984-present)
+  DEFAULT_JRC_SEASONALITY_THRESHOLD: 10, // months per year with water
+  DEFAULT_TIMESERIES_STEP_DAYS: 12, // Sentinel-1 repeat cycle
+  TIMESERIES_S2_WINDOW_DAYS: 5, // +/- days of Sentinel-2 around each acquisition step
+  TIMESERIES_MAX_STEPS: 30,
+  DEPTH_SCALE: 30, // metres, the DEM resolution
+  // Focal-median radii (DEM cells) of the passes that spread the water surface
+  // inward from the flood edge; together they reach 93 cells (~2.8 km)
+  DEPTH_FILL_RADII: [3, 6, 12, 24, 48],
   
   // --- USER-DEFINED DEFAULTS ---
   DEFAULT_TRAINING_ASSET: 'users/srijal2023/Melamchi_points_water', // <-- Set your default asset
   DEFAULT_CLASS_COLUMN: 'Planet_flo', // <-- Set your default class property name
   // -----------------------------
 
+  // AOI input methods
+  AOI_DRAW: 'Draw on map',
+  AOI_PASTE: 'Paste GeoJSON / WKT',
+  AOI_ASSET: 'FeatureCollection asset',
+  AOI_ADMIN: 'Administrative unit',
+
+  // Analysis modes
+  MODE_SINGLE: 'Single period',
+  MODE_CHANGE: 'Change detection (pre vs. post)',
+
+  // Training data sources. Digitized features carry DIGITIZED_CLASS_COLUMN
+  // unless they are combined with an asset, in which case they use its column.
+  TRAINING_ASSET: 'Asset',
+  TRAINING_DIGITIZED: 'Digitized on map',
+  TRAINING_BOTH: 'Asset + digitized',
+  DIGITIZED_CLASS_COLUMN: 'class',
+  DIGITIZE_COLORS: {
+    flood: '#0000FF',
+    nonFlood: '#00A000'
+  },
+
+  // Validation strategies
+  VALIDATION_SPLIT: 'Random split',
+  VALIDATION_KFOLD: 'k-fold cross-validation',
+  VALIDATION_SPATIAL: 'Spatial block cross-validation',
+
+  // Training sample balancing
+  BALANCE_NONE: 'None',
+  BALANCE_DOWNSAMPLE: 'Down-sample majority class',
+  BALANCE_STRATIFIED: 'Stratified (cap per class)',
+
+  // Classification methods
+  METHOD_SUPERVISED: 'Supervised classifier (training data)',
+  METHOD_OTSU: 'Otsu threshold (no training data)',
+  OTSU_HISTOGRAM_BUCKETS: 255,
+
+  // Supervised classifiers
+  CLASSIFIER_OPTIONS: [
+    {label: 'Random Forest', value: 'RF'},
+    {label: 'Gradient Tree Boost', value: 'GTB'},
+    {label: 'Support Vector Machine', value: 'SVM'},
+    {label: 'CART', value: 'CART'}
+  ],
+  SVM_KERNELS: ['RBF', 'LINEAR', 'POLY', 'SIGMOID'],
+
+  // Parameter values tried by grid search, per classifier. Parameters not
+  // listed keep the values entered in the panel.
+  GRID_SEARCH: {
+    RF: {numberOfTrees: [100, 300, 500], minLeafPopulation: [1, 5]},
+    GTB: {numberOfTrees: [50, 100, 200], shrinkage: [0.01, 0.05, 0.1]},
+    SVM: {gamma: [0.1, 0.5, 1], cost: [1, 10, 100]},
+    CART: {maxNodes: [10, 50, 200], minLeafPopulation: [1, 5]}
+  },
+
+  // Sensor modes
+  SENSOR_AUTO: 'Auto (fall back to available sensor)',
+  SENSOR_FUSED: 'Fused (Sentinel-1 + Sentinel-2)',
+  SENSOR_S1: 'Sentinel-1 only',
+  SENSOR_S2: 'Sentinel-2 only',
+
+  // Sentinel-2 cloud masking methods
+  CLOUD_MASK_QA60: 'QA60 bitmask',
+  CLOUD_MASK_S2CLOUDLESS: 's2cloudless probability + shadows',
+  CLOUD_MASK_SCL: 'Scene Classification (SCL)',
+
+  // Compositing methods for the event window
+  COMPOSITE_MEDIAN: 'Median',
+  COMPOSITE_MAX_WATER: 'Maximum water (min. VV / max. MNDWI)',
+  COMPOSITE_SINGLE: 'Single acquisition',
+  COMPOSITE_CLOSEST: 'Closest to event date',
+
+  // Sentinel-1 speckle filters
+  SPECKLE_NONE: 'None',
+  SPECKLE_BOXCAR: 'Boxcar',
+  SPECKLE_LEE: 'Lee',
+  SPECKLE_REFINED_LEE: 'Refined Lee',
+  SPECKLE_GAMMA_MAP: 'Gamma-MAP',
+  SPECKLE_QUEGAN: 'Quegan multi-temporal',
+
+  // Sentinel-1 orbit pass options
+  ORBIT_OPTIONS: [
+    {label: 'Descending', value: 'DESCENDING'},
+    {label: 'Ascending', value: 'ASCENDING'},
+    {label: 'Both (per-orbit composite)', value: 'BOTH'}
+  ],
+
+  // Time-series step modes
+  TIMESERIES_ACQUISITION: 'Per acquisition date',
+  TIMESERIES_NDAY: 'Fixed N-day steps',
+
+  // Terrain mask modes
+  TERRAIN_SLOPE: 'Slope only',
+  TERRAIN_HAND: 'HAND only',
+  TERRAIN_BOTH: 'Slope + HAND',
+
+  // Sentinel-2 bands used in the fused stack
+  S2_BANDS: ['B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B8A', 'B11', 'B12'],
+  S1_BANDS: ['VV_Filtered', 'VH_Filtered', 'Ratio_Filtered'],
+
+  // Derived features that can be appended to the stack. 'sensor' is the
+  // sensor the feature needs (null = DEM-based, always available).
+  FEATURES: [
+    {name: 'NDWI', label: 'NDWI', sensor: 'S2'},
+    {name: 'MNDWI', label: 'MNDWI', sensor: 'S2'},
+    {name: 'AWEI', label: 'AWEI', sensor: 'S2'},
+    {name: 'NDVI', label: 'NDVI', sensor: 'S2'},
+    {name: 'VV_VH_Diff', label: 'VV-VH', sensor: 'S1'},
+    {name: 'SAR_NDRatio', label: 'SAR Norm. Ratio', sensor: 'S1'},
+    {name: 'elevation', label: 'Elevation', sensor: null},
+    {name: 'slope', label: 'Slope', sensor: null}
+  ],
+
   // Visualization parameters
   VIS_S1_VV: {
     min: -25,
@@ -53,36 +231,363 @@ var CONFIG = {
   VIS_CLASSIFICATION: {
     palette: ['#0000FF'] // Blue for Flood/Water
   },
+  VIS_PRE_WATER: {
+    palette: ['#00FFFF'] // Cyan for pre-event water
+  },
+  VIS_POST_WATER: {
+    palette: ['#000080'] // Navy for all post-event water
+  },
+  VIS_PERMANENT_WATER: {
+    palette: ['#808080'] // Grey for JRC permanent/seasonal water
+  },
   LEGEND_INFO: {
     'Flood/Water': '#0000FF'
   },
+  LEGEND_INFO_PERMANENT: {
+    'Permanent water': '#808080'
+  },
+  LEGEND_INFO_CHANGE: {
+    'Pre-event Water': '#00FFFF',
+    'Post-event Water': '#000080',
+    'New Flood': '#0000FF'
+  },
+  VIS_ACQUISITION_DATE: {
+    palette: ['#440154', '#3B528B', '#21918C', '#5EC962', '#FDE725'] // earliest to latest
+  },
+  VIS_PROBABILITY: {
+    min: 0,
+    max: 1,
+    palette: ['#F7FBFF', '#C6DBEF', '#6BAED6', '#2171B5', '#08306B']
+  },
+  // One entry per stop of the continuous VIS_PROBABILITY ramp
+  LEGEND_INFO_PROBABILITY: {
+    'Flood probability 0.00': '#F7FBFF',
+    'Flood probability 0.25': '#C6DBEF',
+    'Flood probability 0.50': '#6BAED6',
+    'Flood probability 0.75': '#2171B5',
+    'Flood probability 1.00': '#08306B'
+  },
+  // Probability bands used to break down the mapped flood area
+  CONFIDENCE_BANDS: [
+    {label: 'Low (0.00-0.50)', min: 0, max: 0.5},
+    {label: 'Moderate (0.50-0.75)', min: 0.5, max: 0.75},
+    {label: 'High (0.75-0.90)', min: 0.75, max: 0.9},
+    {label: 'Very high (0.90-1.00)', min: 0.9, max: 1.01}
+  ],
+  // Flooded-percentage bins of the zonal choropleth, matching LEGEND_INFO_ZONAL
+  ZONAL_BREAKS: [10, 25, 40, 50],
+  VIS_ZONAL: {
+    min: 0,
+    max: 4,
+    palette: ['#FFFFCC', '#A1DAB4', '#41B6C4', '#2C7FB8', '#253494']
+  },
+  LEGEND_INFO_ZONAL: {
+    'Unit flooded 0-10%': '#FFFFCC',
+    'Unit flooded 10-25%': '#A1DAB4',
+    'Unit flooded 25-40%': '#41B6C4',
+    'Unit flooded 40-50%': '#2C7FB8',
+    'Unit flooded 50%+': '#253494'
+  },
+  // Water depth classes reported by area; 'color' is used for the map and legend
+  DEPTH_CLASSES: [
+    {label: '0-0.5 m', min: 0, max: 0.5, color: '#C6DBEF'},
+    {label: '0.5-1 m', min: 0.5, max: 1, color: '#4292C6'},
+    {label: '>1 m', min: 1, max: 1e4, color: '#08306B'}
+  ],
+  VIS_DEPTH: {
+    min: 0,
+    max: 3,
+    palette: ['#F7FBFF', '#6BAED6', '#08306B'] // metres
+  },
+
+  // Training label values, with the name and colour used in the legend,
+  // class map and tables. 0/1 are the original non-flood/flood labels; the
+  // others are optional. 'flooded' sets the default Flooded Classes choice.
+  CLASSES: [
+    {value: 0, name: 'Non-flood / dry land', color: '#D8C99B', flooded: false},
+    {value: 1, name: 'Flood water', color: '#0000FF', flooded: true},
+    {value: 2, name: 'Permanent water', color: '#00004D', flooded: false},
+    {value: 3, name: 'Flooded vegetation', color: '#00A884', flooded: true},
+    {value: 4, name: 'Shadow', color: '#4D4D4D', flooded: false},
+    {value: 5, name: 'Cloud / no data', color: '#E0E0E0', flooded: false}
+  ],
+  UNKNOWN_CLASS_COLOR: '#FF00FF', // labels not listed in CLASSES
+
+  // ESA WorldCover class values and names
+  LAND_COVER_CLASSES: {
+    10: 'Tree cover',
+    20: 'Shrubland',
+    30: 'Grassland',
+    40: 'Cropland',
+    50: 'Built-up',
+    60: 'Bare / sparse vegetation',
+    70: 'Snow and ice',
+    80: 'Permanent water bodies',
+    90: 'Herbaceous wetland',
+    95: 'Mangroves',
+    100: 'Moss and lichen'
+  },
+  CROPLAND_CLASS: 40,
+
+  // Time-series animation frames
+  TIMESERIES_VIDEO: {
+    dimensions: 600,
+    framesPerSecond: 2,
+    crs: 'EPSG:3857'
+  },
+
+  // Export settings
+  EXPORT_FOLDER: 'FloodFusion', // Google Drive folder
+  EXPORT_PREFIX: 'floodfusion',
+  EXPORT_SCALE: 10,
+  MAX_URL_AOI_LENGTH: 4000, // characters; longer AOIs are shared as their bounding box
+
   AOI_STYLE: {
     color: 'red',
     fillColor: '00000000'
   }
 };
 
+// Named parameter presets. Each lists only the settings it changes from the
+// defaults, using the keys of getSettingWidgets().
+var SETTINGS_PRESETS = [
+  {name: 'Defaults', settings: {}},
+  {name: 'SAR only, no training data (Otsu)', settings: {
+    sensors: CONFIG.SENSOR_S1,
+    method: CONFIG.METHOD_OTSU
+  }},
+  {name: 'Cloudy monsoon event (S1 change detection)', settings: {
+    sensors: CONFIG.SENSOR_S1,
+    mode: CONFIG.MODE_CHANGE,
+    orbit: 'BOTH',
+    jrc: true
+  }},
+  {name: 'Robust validation (spatial CV, balanced)', settings: {
+    validation: CONFIG.VALIDATION_SPATIAL,
+    balancing: CONFIG.BALANCE_DOWNSAMPLE
+  }}
+];
+
 //================================================================================
 // === PROCESSING LIBRARY ===
 //================================================================================
 
 /**
- * Applies a Refined Lee speckle filter to a Sentinel-1 image.
+ * Returns a square kernel of the given (odd) size in pixels.
  */
-function refinedLee(img) {
-  var bandNames = img.bandNames();
-  var weights = ee.List.repeat(ee.List.repeat(1, 7), 7);
-  var kernel = ee.Kernel.fixed(7, 7, weights, 3, 3, false);
+function squareKernel(size) {
+  return ee.Kernel.square((size - 1) / 2, 'pixels');
+}
+
+/**
+ * Boxcar speckle filter: the local mean of a single-band linear image.
+ */
+function boxcarFilter(img, kernelSize) {
+  return img.reduceNeighborhood(ee.Reducer.mean(), squareKernel(kernelSize));
+}
+
+/**
+ * Lee speckle filter (Lee, 1980) for a single-band linear image, weighting
+ * the pixel against the local mean by the local signal-to-speckle variance.
+ */
+function leeFilter(img, kernelSize) {
+  var kernel = squareKernel(kernelSize);
   var mean = img.reduceNeighborhood(ee.Reducer.mean(), kernel);
   var variance = img.reduceNeighborhood(ee.Reducer.variance(), kernel);
-  var center_pixel = img.select(bandNames);
-  var b = variance.divide(mean.multiply(mean));
-  var T1 = ee.Image(1.0).subtract(b).max(0);
-  var T2 = T1.divide(ee.Image(1.0).add(T1));
-  var new_pixel = center_pixel.multiply(T2).add(mean.multiply(ee.Image(1.0).subtract(T2)));
-  return new_pixel.rename(bandNames);
+  var eta2 = 1 / CONFIG.S1_ENL; // squared speckle coefficient of variation
+  var signalVariance = variance.subtract(mean.pow(2).multiply(eta2)).divide(1 + eta2);
+  var weight = signalVariance.divide(variance).max(0);
+  return mean.add(weight.multiply(img.subtract(mean)));
+}
+
+/**
+ * Gamma-MAP speckle filter (Lopes et al., 1990) for a single-band linear
+ * image: the local mean in homogeneous areas, the original pixel in strongly
+ * heterogeneous ones and the Gamma-MAP estimate in between.
+ */
+function gammaMapFilter(img, kernelSize) {
+  var enl = CONFIG.S1_ENL;
+  var kernel = squareKernel(kernelSize);
+  var mean = img.reduceNeighborhood(ee.Reducer.mean(), kernel);
+  var ci = img.reduceNeighborhood(ee.Reducer.stdDev(), kernel).divide(mean);
+  var cu = 1 / Math.sqrt(enl);
+  var cmax = Math.sqrt(2) * cu;
+  var alpha = ee.Image(1 + cu * cu).divide(ci.pow(2).subtract(cu * cu));
+  var q = mean.pow(2).multiply(alpha.subtract(enl + 1).pow(2))
+    .add(alpha.multiply(4 * enl).multiply(img).multiply(mean));
+  var estimate = mean.multiply(alpha.subtract(enl + 1)).add(q.sqrt()).divide(alpha.multiply(2));
+  return mean.where(ci.gt(cu), estimate).where(ci.gte(cmax), img);
+}
+
+/**
+ * Refined Lee speckle filter (Lee, 1981) for a single-band linear image.
+ * The edge direction is found from 3x3 window means sampled in a 7x7 window,
+ * and the Lee estimate uses the statistics of the matching directional
+ * (half or diagonal) 7x7 window, so edges are preserved.
+ */
+function refinedLee(img) {
+  var kernel3 = ee.Kernel.fixed(3, 3, ee.List.repeat(ee.List.repeat(1, 3), 3), 1, 1, false);
+  var mean3 = img.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+  var variance3 = img.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+
+  // Nine 3x3 windows sampled inside the 7x7 window, as bands 0-8
+  var sampleWeights = ee.List([
+    [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0],
+    [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+    [0, 0, 0, 0, 0, 0, 0]
+  ]);
+  var sampleKernel = ee.Kernel.fixed(7, 7, sampleWeights, 3, 3, false);
+  var sampleMean = mean3.neighborhoodToBands(sampleKernel);
+  var sampleVar = variance3.neighborhoodToBands(sampleKernel);
+
+  // Gradients in the four directions; the largest marks the edge
+  var gradients = ee.Image.cat([
+    sampleMean.select(1).subtract(sampleMean.select(7)).abs(),
+    sampleMean.select(6).subtract(sampleMean.select(2)).abs(),
+    sampleMean.select(3).subtract(sampleMean.select(5)).abs(),
+    sampleMean.select(0).subtract(sampleMean.select(8)).abs()
+  ]);
+  var gradientMask = gradients.eq(gradients.reduce(ee.Reducer.max()));
+  gradientMask = gradientMask.addBands(gradientMask);
+
+  // Eight directions (1-8): which side of the edge the centre lies on
+  var directions = ee.Image.cat([
+    sampleMean.select(1).subtract(sampleMean.select(4)).gt(sampleMean.select(4).subtract(sampleMean.select(7))).multiply(1),
+    sampleMean.select(6).subtract(sampleMean.select(4)).gt(sampleMean.select(4).subtract(sampleMean.select(2))).multiply(2),
+    sampleMean.select(3).subtract(sampleMean.select(4)).gt(sampleMean.select(4).subtract(sampleMean.select(5))).multiply(3),
+    sampleMean.select(0).subtract(sampleMean.select(4)).gt(sampleMean.select(4).subtract(sampleMean.select(8))).multiply(4)
+  ]);
+  directions = directions.addBands(directions.not().multiply(ee.Image.constant([5, 6, 7, 8])));
+  directions = directions.updateMask(gradientMask).reduce(ee.Reducer.sum());
+
+  // Local noise variance from the five most homogeneous sampled windows
+  var sampleStats = sampleVar.divide(sampleMean.multiply(sampleMean));
+  var sigmaV = sampleStats.toArray().arraySort().arraySlice(0, 0, 5).arrayReduce(ee.Reducer.mean(), [0]);
+
+  // Directional 7x7 windows: a half window and a diagonal, each rotated four times
+  var rectWeights = ee.List.repeat(ee.List.repeat(0, 7), 3).cat(ee.List.repeat(ee.List.repeat(1, 7), 4));
+  var diagWeights = ee.List([
+    [1, 0, 0, 0, 0, 0, 0], [1, 1, 0, 0, 0, 0, 0], [1, 1, 1, 0, 0, 0, 0],
+    [1, 1, 1, 1, 0, 0, 0], [1, 1, 1, 1, 1, 0, 0], [1, 1, 1, 1, 1, 1, 0],
+    [1, 1, 1, 1, 1, 1, 1]
+  ]);
+  var rectKernel = ee.Kernel.fixed(7, 7, rectWeights, 3, 3, false);
+  var diagKernel = ee.Kernel.fixed(7, 7, diagWeights, 3, 3, false);
+
+  var dirMeans = [];
+  var dirVars = [];
+  for (var i = 0; i < 4; i++) {
+    [rectKernel.rotate(i), diagKernel.rotate(i)].forEach(function(kernel, k) {
+      var direction = directions.eq(2 * i + k + 1);
+      dirMeans.push(img.reduceNeighborhood(ee.Reducer.mean(), kernel).updateMask(direction));
+      dirVars.push(img.reduceNeighborhood(ee.Reducer.variance(), kernel).updateMask(direction));
+    });
+  }
+  var dirMean = ee.Image.cat(dirMeans).reduce(ee.Reducer.sum());
+  var dirVar = ee.Image.cat(dirVars).reduce(ee.Reducer.sum());
+
+  var varX = dirVar.subtract(dirMean.multiply(dirMean).multiply(sigmaV)).divide(sigmaV.add(1.0));
+  var b = varX.divide(dirVar);
+  return dirMean.add(b.multiply(img.subtract(dirMean))).arrayFlatten([['sum']]);
+}
+
+/**
+ * Single-image speckle filters for single-band linear images, keyed by the
+ * CONFIG.SPECKLE_* option they implement.
+ */
+var SPECKLE_FILTERS = {};
+SPECKLE_FILTERS[CONFIG.SPECKLE_BOXCAR] = boxcarFilter;
+SPECKLE_FILTERS[CONFIG.SPECKLE_LEE] = leeFilter;
+SPECKLE_FILTERS[CONFIG.SPECKLE_REFINED_LEE] = refinedLee;
+SPECKLE_FILTERS[CONFIG.SPECKLE_GAMMA_MAP] = gammaMapFilter;
+
+/**
+ * Multi-temporal speckle filter (Quegan & Yu, 2001) for a collection of
+ * linear VV/VH scenes: each scene's boxcar mean is scaled by the average
+ * ratio of every scene to its own boxcar mean.
+ */
+function queganFilter(s1col, kernelSize) {
+  var smooth = function(image) {
+    return boxcarFilter(image.select(['VV', 'VH']), kernelSize).rename(['VV', 'VH']);
+  };
+  var meanRatio = s1col.map(function(image) {
+    return image.select(['VV', 'VH']).divide(smooth(image));
+  }).mean();
+  return s1col.map(function(image) {
+    return smooth(image).multiply(meanRatio)
+      .addBands(image.select('angle'))
+      .copyProperties(image, ['system:time_start', 'relativeOrbitNumber_start']);
+  });
+}
+
+/**
+ * Angle-based radiometric terrain flattening (Vollrath et al., 2020) of a
+ * linear Sentinel-1 scene: converts sigma0 to gamma0, applies the volume
+ * scattering model for the local slope in range and masks layover and
+ * radar shadow derived from the DEM.
+ */
+function flattenTerrain(image) {
+  var ninety = Math.PI / 2;
+  var thetaRad = image.select('angle').multiply(Math.PI / 180);
+  var dem = ee.Image(CONFIG.DEM);
+  var slopeRad = ee.Terrain.slope(dem).multiply(Math.PI / 180);
+  var aspectRad = ee.Terrain.aspect(dem).multiply(Math.PI / 180);
+
+  // Satellite heading from the gradient of the incidence angle band
+  var heading = ee.Terrain.aspect(image.select('angle')).reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: image.geometry(),
+    scale: 1000,
+    maxPixels: 1e9
+  }).get('aspect');
+  var phiRad = ee.Image.constant(ee.Number(heading)).multiply(Math.PI / 180).subtract(aspectRad);
+  var slopeInRange = slopeRad.tan().multiply(phiRad.cos()).atan();
+
+  var scf = ee.Image(ninety).subtract(thetaRad).add(slopeInRange).tan()
+    .divide(ee.Image(ninety).subtract(thetaRad).tan());
+  var gamma0Flat = image.select(['VV', 'VH']).divide(thetaRad.cos()).divide(scf);
+
+  var notLayover = slopeInRange.lt(thetaRad);
+  var notShadow = slopeInRange.gt(thetaRad.subtract(ninety));
+  return gamma0Flat.updateMask(notLayover.and(notShadow))
+    .addBands(image.select('angle'))
+    .copyProperties(image, ['system:time_start', 'relativeOrbitNumber_start']);
 }
 
+/**
+ * Prepares Sentinel-1 scenes for compositing: converts them to linear power,
+ * optionally flattens terrain, applies the speckle filter and converts back
+ * to dB. 's1Options' is {speckleFilter, terrainFlattening}.
+ */
+function prepareS1Scenes(s1col, s1Options) {
+  var properties = ['system:time_start', 'relativeOrbitNumber_start'];
+  var linear = s1col.map(function(image) {
+    return ee.Image(10).pow(image.select(['VV', 'VH']).divide(10))
+      .addBands(image.select('angle'))
+      .copyProperties(image, properties);
+  });
+
+  if (s1Options.terrainFlattening) {
+    linear = linear.map(flattenTerrain);
+  }
+
+  var filter = s1Options.speckleFilter;
+  if (filter === CONFIG.SPECKLE_QUEGAN) {
+    linear = queganFilter(linear, CONFIG.SPECKLE_KERNEL_SIZE);
+  } else if (SPECKLE_FILTERS[filter]) {
+    linear = linear.map(function(image) {
+      return ee.Image.cat(['VV', 'VH'].map(function(band) {
+        return SPECKLE_FILTERS[filter](image.select(band), CONFIG.SPECKLE_KERNEL_SIZE).rename(band);
+      })).addBands(image.select('angle')).copyProperties(image, properties);
+    });
+  }
+
+  return linear.map(function(image) {
+    return image.select(['VV', 'VH']).log10().multiply(10)
+      .addBands(image.select('angle'))
+      .copyProperties(image, properties);
+  });
+}
 
 /**
  * Masks clouds in a Sentinel-2 SR image.
@@ -99,713 +604,4812 @@ function maskS2srClouds(image) {
 }
 
 /**
- * Creates an analysis-ready Sentinel-1 composite.
+ * Masks a Sentinel-2 SR image with its Scene Classification Layer, dropping
+ * the classes in CONFIG.SCL_MASK_CLASSES.
+ */
+function maskS2Scl(image) {
+  var scl = image.select('SCL');
+  var mask = CONFIG.SCL_MASK_CLASSES.reduce(function(keep, sclClass) {
+    return keep.and(scl.neq(sclClass));
+  }, ee.Image(1));
+  return image.updateMask(mask).divide(10000)
+    .select('B.*')
+    .copyProperties(image, ['system:time_start']);
+}
+
+/**
+ * Masks a Sentinel-2 SR image joined with its s2cloudless image (property
+ * 's2cloudless'): clouds above the probability threshold, plus shadows found
+ * as dark, non-water pixels along the solar azimuth from those clouds.
+ */
+function maskS2Cloudless(image, probabilityThreshold) {
+  var isCloud = ee.Image(image.get('s2cloudless')).select('probability').gt(probabilityThreshold);
+
+  // Dark NIR pixels that SCL does not call water are shadow candidates
+  var darkPixels = image.select('B8').lt(CONFIG.NIR_DARK_THRESHOLD * 10000)
+    .and(image.select('SCL').neq(6));
+  var shadowAzimuth = ee.Number(90).subtract(ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+  var cloudProjection = isCloud.directionalDistanceTransform(shadowAzimuth, CONFIG.CLOUD_PROJECTION_DISTANCE * 10)
+    .reproject({crs: image.select(0).projection(), scale: 100})
+    .select('distance')
+    .mask();
+  var shadows = cloudProjection.and(darkPixels);
+
+  // Remove small cloud/shadow specks, then buffer what is left
+  var cloudOrShadow = isCloud.or(shadows)
+    .focalMin(2).focalMax(CONFIG.CLOUD_BUFFER * 2 / 20)
+    .reproject({crs: image.select(0).projection(), scale: 20});
+  return image.updateMask(cloudOrShadow.not()).divide(10000)
+    .select('B.*')
+    .copyProperties(image, ['system:time_start']);
+}
+
+/**
+ * Returns the dual-polarised IW Sentinel-1 scenes for the window and orbit
+ * pass ('ASCENDING', 'DESCENDING' or 'BOTH').
  */
-function processS1_ARD(startDate, endDate, aoi) {
+function getS1Collection(startDate, endDate, aoi, orbitPass) {
   var s1col = ee.ImageCollection(CONFIG.S1_COLLECTION)
     .filterDate(startDate, endDate)
     .filterBounds(aoi)
     .filter(ee.Filter.eq('instrumentMode', 'IW'))
-    .filter(ee.Filter.eq('orbitProperties_pass', CONFIG.DEFAULT_S1_ORBIT))
     .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
     .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'));
 
+  if (orbitPass !== 'BOTH') {
+    s1col = s1col.filter(ee.Filter.eq('orbitProperties_pass', orbitPass));
+  }
+  return s1col;
+}
+
+/**
+ * Converts a Sentinel-1 sigma0 (dB) image to gamma0 using its incidence angle,
+ * reducing the brightness difference between near and far range. Other bands
+ * are kept.
+ */
+function normalizeIncidenceAngle(img) {
+  var cosTheta = img.select('angle').multiply(Math.PI / 180).cos();
+  var correction = cosTheta.log10().multiply(10);
+  return img.addBands(img.select(['VV', 'VH']).subtract(correction), null, true);
+}
+
+/**
+ * Adds a 'date' band holding the scene's acquisition date as whole days since
+ * 'origin', masked like the scene so mosaics keep the date of the pixel they use.
+ */
+function addDateBand(image, origin) {
+  var days = ee.Date(image.get('system:time_start')).difference(ee.Date(origin), 'day').floor();
+  return image.addBands(ee.Image.constant(days).toInt().rename('date')
+    .updateMask(image.select(0).mask()));
+}
+
+/**
+ * Composites scenes carrying a 'date' band with one of the CONFIG.COMPOSITE_*
+ * methods. 'compositing' is {method, date}, where date is the acquisition
+ * day (single) or the event date (closest). 'waterScore' maps a scene to a
+ * band that is highest for water, used by the maximum-water method. Median
+ * composites have no single source scene, so their 'date' is the latest
+ * acquisition contributing to each pixel.
+ */
+function compositeScenes(col, bands, compositing, waterScore) {
+  var method = compositing.method;
+  var outputBands = bands.concat(['date']);
+  if (method === CONFIG.COMPOSITE_MAX_WATER) {
+    return col.map(function(image) {
+      return image.addBands(waterScore(image).rename('water_score'));
+    }).qualityMosaic('water_score').select(outputBands);
+  }
+  if (method === CONFIG.COMPOSITE_SINGLE) {
+    var day = ee.Date(compositing.date);
+    return col.filterDate(day, day.advance(1, 'day')).mosaic().select(outputBands);
+  }
+  if (method === CONFIG.COMPOSITE_CLOSEST) {
+    // Sorted farthest first, so the closest scene ends up on top of the mosaic
+    var eventTime = ee.Date(compositing.date).millis();
+    return col.map(function(image) {
+      return image.set('event_distance',
+        ee.Number(image.get('system:time_start')).subtract(eventTime).abs());
+    }).sort('event_distance', false).mosaic().select(outputBands);
+  }
+  return col.select(bands).median().addBands(col.select('date').max());
+}
+
+/**
+ * Composites scenes from several relative orbits. Each orbit is normalized
+ * and median-composited on its own, then the orbit composites are averaged so
+ * no single viewing geometry dominates. Terrain-flattened scenes are already
+ * gamma0, so 'normalizeAngle' is false for them.
+ */
+function compositeS1ByOrbit(s1col, normalizeAngle) {
+  var orbits = ee.List(s1col.aggregate_array('relativeOrbitNumber_start')).distinct();
+  var perOrbit = ee.ImageCollection.fromImages(orbits.map(function(orbit) {
+    var orbitScenes = s1col.filter(ee.Filter.eq('relativeOrbitNumber_start', orbit));
+    if (normalizeAngle) {
+      orbitScenes = orbitScenes.map(normalizeIncidenceAngle);
+    }
+    return orbitScenes.select(['VV', 'VH']).median();
+  }));
+  return perOrbit.mean();
+}
+
+/**
+ * Returns a list of [time_start, pass, relative orbit] for each scene.
+ */
+function summarizeS1Scenes(s1col) {
+  return s1col.reduceColumns(ee.Reducer.toList(3),
+    ['system:time_start', 'orbitProperties_pass', 'relativeOrbitNumber_start']).get('list');
+}
+
+/**
+ * Creates an analysis-ready Sentinel-1 composite. Speckle filtering and
+ * terrain flattening ('s1Options', see prepareS1Scenes) are applied to each
+ * scene before compositing with 'compositing' (see compositeScenes). The
+ * 'S1_date' band holds the acquisition date of each pixel, in days since
+ * 'startDate'.
+ */
+function processS1_ARD(startDate, endDate, aoi, orbitPass, s1Options, compositing) {
+  var s1col = getS1Collection(startDate, endDate, aoi, orbitPass);
+  var prepared = prepareS1Scenes(s1col, s1Options).map(function(image) {
+    return addDateBand(image, startDate);
+  });
+  var normalizeAngle = orbitPass === 'BOTH' && !s1Options.terrainFlattening;
+
+  var composite;
+  if (orbitPass === 'BOTH' && compositing.method === CONFIG.COMPOSITE_MEDIAN) {
+    composite = compositeS1ByOrbit(prepared, normalizeAngle)
+      .addBands(prepared.select('date').max());
+  } else {
+    composite = compositeScenes(normalizeAngle ? prepared.map(normalizeIncidenceAngle) : prepared,
+      ['VV', 'VH'], compositing, function(image) {
+        return image.select('VV').multiply(-1);
+      });
+  }
   var s1_composite = ee.Image(ee.Algorithms.If(
     s1col.size().gt(0),
-    s1col.median().clip(aoi),
-    ee.Image().rename(['VV', 'VH'])
-  ));
-
-  var vv_filtered = ee.Image(ee.Algorithms.If(
-    s1_composite.bandNames().contains('VV'),
-    refinedLee(s1_composite.select('VV')).rename('VV_Filtered'),
-    ee.Image().rename('VV_Filtered')
-  ));
-  
-  var vh_filtered = ee.Image(ee.Algorithms.If(
-    s1_composite.bandNames().contains('VH'),
-    refinedLee(s1_composite.select('VH')).rename('VH_Filtered'),
-    ee.Image().rename('VH_Filtered')
+    composite.clip(aoi),
+    ee.Image().rename('VV').addBands(ee.Image().rename('VH')).addBands(ee.Image().rename('date'))
   ));
 
-  var ratio = ee.Image(ee.Algorithms.If(
-    vv_filtered.bandNames().size().gt(0).and(vh_filtered.bandNames().size().gt(0)),
-    vv_filtered.divide(vh_filtered).rename('Ratio_Filtered'),
-    ee.Image().rename('Ratio_Filtered')
-  ));
+  var vv_filtered = s1_composite.select('VV').rename('VV_Filtered');
+  var vh_filtered = s1_composite.select('VH').rename('VH_Filtered');
+  var ratio = vv_filtered.divide(vh_filtered).rename('Ratio_Filtered');
 
-  return ee.Image.cat([vv_filtered, vh_filtered, ratio]);
+  return ee.Image.cat([vv_filtered, vh_filtered, ratio, s1_composite.select('date').rename('S1_date')]);
 }
 
 /**
- * Creates an analysis-ready Sentinel-2 composite.
+ * Returns the cloud-masked Sentinel-2 scenes for the window. 'cloudMask' is
+ * {method, probability}, with method one of the CONFIG.CLOUD_MASK_* values
+ * and probability the s2cloudless threshold (%).
  */
-function processS2_ARD(startDate, endDate, aoi) {
+function getS2Collection(startDate, endDate, aoi, cloudMask) {
   var s2col = ee.ImageCollection(CONFIG.S2_COLLECTION)
     .filterDate(startDate, endDate)
-    .filterBounds(aoi)
-    .map(maskS2srClouds);
+    .filterBounds(aoi);
+
+  if (cloudMask.method === CONFIG.CLOUD_MASK_SCL) {
+    return s2col.map(maskS2Scl);
+  }
+  if (cloudMask.method === CONFIG.CLOUD_MASK_S2CLOUDLESS) {
+    var probabilities = ee.ImageCollection(CONFIG.S2_CLOUD_PROBABILITY)
+      .filterDate(startDate, endDate)
+      .filterBounds(aoi);
+    // Scenes without a cloud probability image are dropped by the join
+    var joined = ee.Join.saveFirst('s2cloudless').apply({
+      primary: s2col,
+      secondary: probabilities,
+      condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+    });
+    return ee.ImageCollection(joined).map(function(image) {
+      return maskS2Cloudless(image, cloudMask.probability);
+    });
+  }
+  return s2col.map(maskS2srClouds);
+}
+
+/**
+ * Creates an analysis-ready Sentinel-2 composite of CONFIG.S2_BANDS with
+ * 'compositing' (see compositeScenes), plus the per-pixel 'S2_date' band in
+ * days since 'startDate'.
+ */
+function processS2_ARD(startDate, endDate, aoi, cloudMask, compositing) {
+  var s2col = getS2Collection(startDate, endDate, aoi, cloudMask).map(function(image) {
+    return addDateBand(image, startDate);
+  });
+  var composite = compositeScenes(s2col, CONFIG.S2_BANDS, compositing, function(image) {
+    return image.normalizedDifference(['B3', 'B11']);
+  });
 
   return ee.Image(ee.Algorithms.If(
       s2col.size().gt(0),
-      s2col.median().clip(aoi),
+      composite.rename(CONFIG.S2_BANDS.concat(['S2_date'])).clip(aoi),
       ee.Image()
   ));
 }
 
+/**
+ * Returns the fraction (0-1) of the AOI where the composite has valid data,
+ * or 0 when the collection it was built from is empty.
+ */
+function getValidFraction(col, composite, band, aoi) {
+  return ee.Algorithms.If(
+    col.size().gt(0),
+    composite.select(band).mask().unmask(0).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: aoi,
+      scale: 100,
+      maxPixels: 1e13,
+      tileScale: 4
+    }).get(band),
+    0
+  );
+}
 
-//================================================================================
-// === UI SETUP ===
-//================================================================================
-
-// --- Main Panels ---
-var mainPanel = ui.Panel({
-  style: {
-    width: '350px',
-    padding: '8px'
+/**
+ * Builders for the derived features in CONFIG.FEATURES, keyed by band name.
+ * Each takes the classification stack and returns a single-band image.
+ */
+var FEATURE_BUILDERS = {
+  NDWI: function(stack) {
+    return stack.normalizedDifference(['B3', 'B8']);
+  },
+  MNDWI: function(stack) {
+    return stack.normalizedDifference(['B3', 'B11']);
+  },
+  AWEI: function(stack) {
+    // Automated Water Extraction Index, no-shadow variant (Feyisa et al., 2014)
+    return stack.expression('4 * (G - SWIR1) - (0.25 * NIR + 2.75 * SWIR2)', {
+      G: stack.select('B3'),
+      SWIR1: stack.select('B11'),
+      NIR: stack.select('B8'),
+      SWIR2: stack.select('B12')
+    });
+  },
+  NDVI: function(stack) {
+    return stack.normalizedDifference(['B8', 'B4']);
+  },
+  VV_VH_Diff: function(stack) {
+    return stack.select('VV_Filtered').subtract(stack.select('VH_Filtered'));
+  },
+  SAR_NDRatio: function(stack) {
+    return stack.normalizedDifference(['VV_Filtered', 'VH_Filtered']);
+  },
+  elevation: function(stack) {
+    return ee.Image(CONFIG.DEM).select('elevation').toFloat();
+  },
+  slope: function(stack) {
+    return ee.Terrain.slope(ee.Image(CONFIG.DEM));
   }
-});
-ui.root.insert(0, mainPanel);
+};
 
-var map = ui.root.widgets().get(1);
-map.style().set('cursor', 'crosshair');
+/**
+ * Returns the names of the selected features the sensor mode can provide.
+ */
+function getUsableFeatures(features, sensorMode) {
+  return CONFIG.FEATURES.filter(function(feature) {
+    if (features.indexOf(feature.name) === -1) {
+      return false;
+    }
+    return !(feature.sensor === 'S2' && sensorMode === CONFIG.SENSOR_S1) &&
+      !(feature.sensor === 'S1' && sensorMode === CONFIG.SENSOR_S2);
+  }).map(function(feature) {
+    return feature.name;
+  });
+}
 
+/**
+ * Appends the named derived features to the classification stack.
+ */
+function addDerivedFeatures(stack, featureNames) {
+  var bands = featureNames.map(function(name) {
+    return FEATURE_BUILDERS[name](stack).rename(name);
+  });
+  return bands.length ? stack.addBands(ee.Image.cat(bands)) : stack;
+}
 
-// --- Title and Description ---
-mainPanel.add(ui.Label({
-  value: 'FloodFusion',
-  style: {
-    fontSize: '20px',
-    fontWeight: 'bold'
+/**
+ * Returns the client-side list of stack band names for a sensor mode and
+ * derived feature list, recorded with each run.
+ */
+function getStackBandNames(sensorMode, featureNames) {
+  var bands = [];
+  if (sensorMode !== CONFIG.SENSOR_S1) {
+    bands = bands.concat(CONFIG.S2_BANDS);
   }
-}));
-mainPanel.add(ui.Label('This app performs a fused Sentinel-1 and Sentinel-2 analysis to map flood extent using a Random Forest classifier.'));
+  if (sensorMode !== CONFIG.SENSOR_S2) {
+    bands = bands.concat(CONFIG.S1_BANDS);
+  }
+  return bands.concat(featureNames);
+}
 
-// --- Section 1: Analysis Scope ---
-mainPanel.add(ui.Label({
-  value: '1. Analysis Scope',
-  style: {
-    fontWeight: 'bold',
-    fontSize: '16px',
-    margin: '10px 0 4px 0'
+/**
+ * Creates an untrained classifier of the given type ('RF', 'GTB', 'SVM' or
+ * 'CART') from its parameter object. Null parameters use the EE defaults.
+ */
+function buildClassifier(type, p) {
+  if (type === 'GTB') {
+    return ee.Classifier.smileGradientTreeBoost({
+      numberOfTrees: p.numberOfTrees,
+      shrinkage: p.shrinkage,
+      samplingRate: p.samplingRate
+    });
   }
-}));
-mainPanel.add(ui.Label('Select Start & End Dates:'));
-var startDateBox = ui.Textbox({
-  value: CONFIG.DEFAULT_START_DATE,
-  style: {
-    width: '150px'
+  if (type === 'SVM') {
+    return ee.Classifier.libsvm({
+      kernelType: p.kernelType,
+      gamma: p.gamma,
+      cost: p.cost
+    });
   }
-});
-var endDateBox = ui.Textbox({
-  value: CONFIG.DEFAULT_END_DATE,
-  style: {
-    width: '150px'
+  if (type === 'CART') {
+    return ee.Classifier.smileCart({
+      maxNodes: p.maxNodes,
+      minLeafPopulation: p.minLeafPopulation
+    });
   }
-});
-var datePanel = ui.Panel([startDateBox, endDateBox], ui.Panel.Layout.flow('horizontal'));
-mainPanel.add(datePanel);
+  return ee.Classifier.smileRandomForest({
+    numberOfTrees: p.numberOfTrees,
+    variablesPerSplit: p.variablesPerSplit,
+    minLeafPopulation: p.minLeafPopulation,
+    bagFraction: p.bagFraction
+  });
+}
 
+/**
+ * Expands a grid of parameter values into a list of parameter objects, each
+ * starting from the base parameters.
+ */
+function expandGrid(baseParams, grid) {
+  var candidates = [baseParams];
+  Object.keys(grid).forEach(function(key) {
+    var expanded = [];
+    candidates.forEach(function(candidate) {
+      grid[key].forEach(function(value) {
+        var next = {};
+        for (var k in candidate) {
+          next[k] = candidate[k];
+        }
+        next[key] = value;
+        expanded.push(next);
+      });
+    });
+    candidates = expanded;
+  });
+  return candidates;
+}
 
-mainPanel.add(ui.Label('Define Area of Interest (AOI):'));
-var drawingTools = map.drawingTools();
-drawingTools.setShown(false);
-while (drawingTools.layers().length() > 0) {
-  drawingTools.layers().remove(drawingTools.layers().get(0));
+/**
+ * Returns an ee.List of accuracies, one per candidate, from fitting each on
+ * part of the training split and scoring it on the rest.
+ */
+function gridSearchAccuracies(type, candidates, trainingSet, classColumn, inputProperties) {
+  var withTune = trainingSet.randomColumn('tune', 1);
+  var fitSet = withTune.filter(ee.Filter.lt('tune', CONFIG.GRID_TUNE_FRACTION));
+  var tuneSet = withTune.filter(ee.Filter.gte('tune', CONFIG.GRID_TUNE_FRACTION));
+
+  return ee.List(candidates.map(function(candidate) {
+    var classifier = buildClassifier(type, candidate).train({
+      features: fitSet,
+      classProperty: classColumn,
+      inputProperties: inputProperties
+    });
+    return tuneSet.classify(classifier).errorMatrix(classColumn, 'classification').accuracy();
+  }));
 }
-var dummyGeometry = ui.Map.GeometryLayer({
-  geometries: null,
-  name: 'geometry',
-  color: 'red'
-});
-drawingTools.layers().add(dummyGeometry);
 
-drawingTools.onDraw(function() {
-  drawingTools.stop();
-});
+/**
+ * Classifies a labelled test set and returns its confusion matrix. With a
+ * probability cutoff the classifier's flood probability is thresholded
+ * instead of taking its hard class.
+ */
+function assessClassifier(classifier, testSet, classColumn, classOrder, cutoff) {
+  var classified;
+  if (cutoff === null) {
+    classified = testSet.classify(classifier);
+  } else {
+    classified = testSet.classify(classifier.setOutputMode('PROBABILITY'), 'probability')
+      .map(function(feature) {
+        return feature.set('classification', ee.Number(feature.get('probability')).gte(cutoff));
+      });
+  }
+  return classified.errorMatrix(classColumn, 'classification', classOrder);
+}
 
-function clearAndDraw(shape) {
-  resetApp(false);  
-  drawingTools.setShape(shape);
-  drawingTools.draw();
+/**
+ * Balances sampled training data before the split. 'counts' is the client-side
+ * histogram of samples per class label. Down-sampling keeps as many samples of
+ * each class as the smallest class has; stratified keeps at most
+ * params.samplesPerClass of each. Samples are picked at random with the seed.
+ */
+function balanceSamples(samples, classColumn, counts, params) {
+  if (params.balancing === CONFIG.BALANCE_NONE) {
+    return samples;
+  }
+  var labels = Object.keys(counts);
+  var perClass = params.samplesPerClass;
+  if (params.balancing === CONFIG.BALANCE_DOWNSAMPLE) {
+    perClass = Math.min.apply(null, labels.map(function(label) {
+      return counts[label];
+    }));
+  }
+  var shuffled = samples.randomColumn('balance', params.seed).sort('balance');
+  var balanced = labels.map(function(label) {
+    return shuffled.filter(ee.Filter.eq(classColumn, Number(label))).limit(perClass);
+  });
+  return ee.FeatureCollection(balanced).flatten();
 }
 
-// --- MODIFIED DRAW BUTTONS PANEL to include Default AOI ---
-var drawButtons = ui.Panel({
-  widgets: [
-    ui.Button({
-      label: '⬛ Rectangle',
-      onClick: function() {
-        clearAndDraw('rectangle');
-      },
-      style: {
-        stretch: 'horizontal'
-      }
-    }),
-    ui.Button({
-      label: '🔺 Polygon',
-      onClick: function() {
-        clearAndDraw('polygon');
-      },
-      style: {
-        stretch: 'horizontal'
-      }
-    }),
-    ui.Button({ 
-      label: '📍 Default AOI',
-      onClick: loadDefaultAoi,
-      style: {
-        stretch: 'horizontal',
-        backgroundColor: '#D6EAF8' 
-      }
-    })
-  ],
-  layout: ui.Panel.Layout.flow('horizontal'),
+/**
+ * Assigns each sample a 'fold' (0 to k-1) by the square grid cell of
+ * 'blockSize' metres it falls in, so neighbouring samples share a fold.
+ * Cells are shuffled with the seed before being dealt out to folds.
+ */
+function assignSpatialFolds(samples, blockSize, k, seed) {
+  var withCell = samples.map(function(feature) {
+    var coords = feature.geometry().centroid(1).transform('EPSG:3857', 1).coordinates();
+    var cell = ee.Number(coords.get(0)).divide(blockSize).floor().toInt().format()
+      .cat('_')
+      .cat(ee.Number(coords.get(1)).divide(blockSize).floor().toInt().format());
+    return feature.set('cell', cell);
+  });
+  var cells = ee.List(withCell.aggregate_array('cell')).distinct().shuffle(seed);
+  return withCell.map(function(feature) {
+    return feature.set('fold', cells.indexOf(feature.get('cell')).mod(k));
+  });
+}
+
+/**
+ * Returns the water-sensitive bands thresholded in unsupervised mode:
+ * 'VV_Filtered' (low backscatter = water) when Sentinel-1 is used and
+ * 'MNDWI' (high = water) when Sentinel-2 is used.
+ */
+function getOtsuInputs(stack, sensorMode) {
+  var bands = [];
+  if (sensorMode !== CONFIG.SENSOR_S2) {
+    bands.push(stack.select('VV_Filtered'));
+  }
+  if (sensorMode !== CONFIG.SENSOR_S1) {
+    bands.push(stack.normalizedDifference(['B3', 'B11']).rename('MNDWI'));
+  }
+  return ee.Image.cat(bands);
+}
+
+/**
+ * Computes the Otsu threshold of a histogram dictionary from
+ * ee.Reducer.histogram(): the bucket value that maximizes the
+ * between-class variance.
+ */
+function otsuThreshold(histogram) {
+  histogram = ee.Dictionary(histogram);
+  var counts = ee.Array(histogram.get('histogram'));
+  var means = ee.Array(histogram.get('bucketMeans'));
+  var size = means.length().get([0]);
+  var total = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+  var sum = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+  var mean = sum.divide(total);
+
+  var indices = ee.List.sequence(1, size.subtract(1));
+  var betweenVariance = indices.map(function(i) {
+    var aCounts = counts.slice(0, 0, i);
+    var aCount = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var aMean = means.slice(0, 0, i).multiply(aCounts)
+      .reduce(ee.Reducer.sum(), [0]).get([0]).divide(aCount);
+    var bCount = total.subtract(aCount);
+    var bMean = sum.subtract(aCount.multiply(aMean)).divide(bCount);
+    return aCount.multiply(aMean.subtract(mean).pow(2))
+      .add(bCount.multiply(bMean.subtract(mean).pow(2)));
+  });
+
+  return means.slice(0, 0, size.subtract(1)).sort(ee.Array(betweenVariance)).get([-1]);
+}
+
+/**
+ * Classifies water (1) from Otsu inputs and their client-side thresholds.
+ * With both sensors a pixel must be water in both, except where Sentinel-2 is
+ * cloud-masked and the SAR decision is used alone.
+ */
+function classifyByThresholds(indices, thresholds) {
+  var water = null;
+  if (thresholds.VV_Filtered !== undefined) {
+    water = indices.select('VV_Filtered').lt(thresholds.VV_Filtered);
+  }
+  if (thresholds.MNDWI !== undefined) {
+    var opticalWater = indices.select('MNDWI').gt(thresholds.MNDWI);
+    water = water ? water.and(opticalWater.unmask(1)) : opticalWater;
+  }
+  return water.rename('classification');
+}
+
+/**
+ * Builds the classification stack for a resolved sensor mode: the Sentinel-2
+ * bands, the filtered Sentinel-1 bands, or both.
+ */
+function buildStack(s1_image, s2_image, sensorMode) {
+  if (sensorMode === CONFIG.SENSOR_S1) {
+    return s1_image.select(CONFIG.S1_BANDS);
+  }
+  if (sensorMode === CONFIG.SENSOR_S2) {
+    return s2_image.select(CONFIG.S2_BANDS);
+  }
+  return s2_image.select(CONFIG.S2_BANDS).addBands(s1_image.select(CONFIG.S1_BANDS));
+}
+
+/**
+ * Returns a mask of pixels the JRC Global Surface Water dataset marks as
+ * permanent or seasonal water, i.e. above either threshold.
+ */
+function getPermanentWaterMask(occurrenceThreshold, seasonalityThreshold) {
+  var jrc = ee.Image(CONFIG.JRC_WATER);
+  return jrc.select('occurrence').gte(occurrenceThreshold)
+    .or(jrc.select('seasonality').gte(seasonalityThreshold))
+    .unmask(0)
+    .rename('permanent_water');
+}
+
+/**
+ * Returns a mask of pixels whose Height Above Nearest Drainage is at or below
+ * the threshold. Pixels without HAND data are kept.
+ */
+function getHandMask(handThreshold) {
+  return ee.Image(CONFIG.HAND).select('hnd')
+    .lte(handThreshold)
+    .unmask(1)
+    .rename('hand_mask');
+}
+
+/**
+ * Builds the terrain mask (1 = plausible flood terrain) for the chosen mode,
+ * together with the individual slope and HAND masks it was built from.
+ */
+function buildTerrainMasks(terrainMode, slopeThreshold, handThreshold) {
+  var masks = {};
+  if (terrainMode !== CONFIG.TERRAIN_HAND) {
+    masks.slope = ee.Terrain.slope(ee.Image(CONFIG.DEM)).lte(slopeThreshold);
+  }
+  if (terrainMode !== CONFIG.TERRAIN_SLOPE) {
+    masks.hand = getHandMask(handThreshold);
+  }
+  masks.combined = masks.slope && masks.hand ? masks.slope.and(masks.hand) :
+    (masks.slope || masks.hand);
+  return masks;
+}
+
+/**
+ * Returns the CONFIG.CLASSES entry for a label value, or a generic entry for
+ * labels that are not configured.
+ */
+function getClassInfo(value) {
+  var matches = CONFIG.CLASSES.filter(function(entry) {
+    return entry.value === Number(value);
+  });
+  return matches.length ? matches[0] :
+    {value: Number(value), name: 'Class ' + value, color: CONFIG.UNKNOWN_CLASS_COLOR, flooded: false};
+}
+
+/**
+ * Returns a 0/1 'classification' image of the pixels whose class is one of
+ * 'floodClasses'.
+ */
+function getFloodPixels(classified, floodClasses) {
+  return classified.remap(floodClasses, floodClasses.map(function() {
+    return 1;
+  }), 0).rename('classification');
+}
+
+/**
+ * Drops flood pixels belonging to patches smaller than the threshold.
+ */
+function removeSmallPatches(floodPixels, connectivityThreshold) {
+  return ee.Image(ee.Algorithms.If(
+      ee.Number(connectivityThreshold).gt(0),
+      floodPixels.connectedPixelCount({maxSize: 100, eightConnected: true})
+                   .gte(connectivityThreshold),
+      floodPixels
+  ));
+}
+
+/**
+ * Applies the post-processing filters to a classified image. Flood-class
+ * pixels removed as permanent water or small patches are masked; pixels of
+ * other classes keep their class.
+ * options.floodClasses          - class values counted as flood.
+ * options.terrainMask           - 1 where slope/HAND allow flooding.
+ * options.connectivityThreshold - minimum connected flood pixels (0 disables).
+ * options.permanentWater        - optional mask of pixels excluded as permanent water.
+ */
+function applyPostProcessing(classified, options) {
+  var classFlood = getFloodPixels(classified, options.floodClasses);
+  var floodPixels = classFlood;
+  if (options.permanentWater) {
+    floodPixels = floodPixels.and(options.permanentWater.not());
+  }
+
+  var finalFloodPixels = floodPixels.and(
+    removeSmallPatches(floodPixels, options.connectivityThreshold));
+
+  return classified.updateMask(classFlood.not().or(finalFloodPixels))
+                   .updateMask(options.terrainMask);
+}
+
+/**
+ * Returns, per filter, the flood pixels that filter removed from a raw
+ * classification. Each filter is measured on its own, so removals may overlap.
+ */
+function getFilterRemovals(classified, options, terrainMasks) {
+  var floodPixels = getFloodPixels(classified, options.floodClasses);
+  if (options.permanentWater) {
+    floodPixels = floodPixels.and(options.permanentWater.not());
+  }
+  var removals = {
+    'Patch size': floodPixels.and(
+      removeSmallPatches(floodPixels, options.connectivityThreshold).not())
+  };
+  if (terrainMasks.slope) {
+    removals['Slope'] = floodPixels.and(terrainMasks.slope.not());
+  }
+  if (terrainMasks.hand) {
+    removals['HAND'] = floodPixels.and(terrainMasks.hand.not());
+  }
+  return removals;
+}
+
+
+/**
+ * Computes flood exposure within the AOI from a 0/1 flood mask: population
+ * (WorldPop, weighted by the flooded fraction of each 100 m cell), flooded
+ * area per WorldCover class, flooded buildings (by centroid) and, when
+ * CONFIG.ROADS is set, the approximate flooded road length.
+ */
+function computeImpact(floodMask, aoi) {
+  var population = ee.ImageCollection(CONFIG.POPULATION)
+    .filter(ee.Filter.eq('year', CONFIG.POPULATION_YEAR))
+    .filterBounds(aoi)
+    .mosaic()
+    .select('population');
+  var popProjection = ee.ImageCollection(CONFIG.POPULATION).first().projection();
+  // The composite-derived mask has no fixed projection; average it from 10 m
+  var floodFraction = floodMask.setDefaultProjection(popProjection.atScale(10)).reduceResolution({
+    reducer: ee.Reducer.mean(),
+    maxPixels: 1024
+  }).reproject(popProjection);
+  var exposedPopulation = population.multiply(floodFraction).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi,
+    crs: popProjection,
+    scale: 100,
+    maxPixels: 1e13,
+    tileScale: 4
+  }).get('population');
+
+  var landCover = ee.ImageCollection(CONFIG.LAND_COVER).first().select('Map');
+  var landCoverAreas = ee.Image.pixelArea().addBands(landCover)
+    .updateMask(floodMask)
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+      geometry: aoi,
+      scale: 10,
+      maxPixels: 1e13,
+      tileScale: 4
+    }).get('groups');
+
+  var buildings = ee.FeatureCollection(CONFIG.BUILDINGS)
+    .filterBounds(aoi)
+    .filter(ee.Filter.gte('confidence', CONFIG.BUILDING_MIN_CONFIDENCE))
+    .map(function(building) {
+      return ee.Feature(building.geometry().centroid(1));
+    });
+  var floodedBuildings = floodMask.rename('flooded').reduceRegions({
+    collection: buildings,
+    reducer: ee.Reducer.max(),
+    scale: 10,
+    tileScale: 4
+  }).filter(ee.Filter.eq('max', 1)).size();
+
+  var impact = ee.Dictionary({
+    population: exposedPopulation,
+    landCover: landCoverAreas,
+    buildings: floodedBuildings
+  });
+
+  if (CONFIG.ROADS) {
+    var roadPixels = ee.Image(0).paint(ee.FeatureCollection(CONFIG.ROADS).filterBounds(aoi), 1)
+      .and(floodMask)
+      .rename('road')
+      .reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: aoi,
+        scale: 10,
+        maxPixels: 1e13,
+        tileScale: 4
+      }).get('road');
+    // Each flooded 10 m road pixel stands for roughly 10 m of road
+    impact = impact.set('roadKm', ee.Number(roadPixels).multiply(10).divide(1000));
+  }
+  return impact;
+}
+
+
+/**
+ * Returns the administrative units intersecting the AOI, clipped to it, with
+ * their flooded area (ha), unit area (ha) and flooded percentage.
+ */
+function computeZonalStats(floodMask, aoi, boundaries, nameColumn) {
+  var zones = boundaries.filterBounds(aoi).map(function(zone) {
+    return ee.Feature(zone.geometry().intersection(aoi, 1), {name: zone.get(nameColumn)});
+  });
+  var areas = ee.Image.pixelArea().multiply(floodMask).rename('flood_area')
+    .addBands(ee.Image.pixelArea().rename('zone_area'));
+  return areas.reduceRegions({
+    collection: zones,
+    reducer: ee.Reducer.sum(),
+    scale: 10,
+    tileScale: 4
+  }).map(function(zone) {
+    var floodHa = ee.Number(zone.get('flood_area')).divide(10000);
+    var zoneHa = ee.Number(zone.get('zone_area')).divide(10000);
+    return zone.set({
+      flood_ha: floodHa,
+      zone_ha: zoneHa,
+      flood_pct: floodHa.divide(zoneHa.max(1e-6)).multiply(100)
+    });
+  });
+}
+
+/**
+ * Estimates flood water depth in metres in the style of FwDET: flooded cells
+ * on the edge of the flood extent take their DEM elevation as the water
+ * surface, which is spread inward by focal medians of growing radius
+ * (CONFIG.DEPTH_FILL_RADII) over the cells already filled, and only into
+ * flooded cells. Depth is the water surface minus the DEM, at
+ * CONFIG.DEPTH_SCALE. Returns {depth, flood}, where 'flood' is the 0/1 flood
+ * extent on the same grid; flooded cells beyond the reach of the passes have
+ * no depth.
+ */
+function estimateFloodDepth(floodMask, aoi) {
+  var dem = ee.Image(CONFIG.DEM).select('elevation');
+  var projection = dem.projection().atScale(CONFIG.DEPTH_SCALE);
+  // The composite-derived mask has no fixed projection; average it from 10 m
+  var flood = floodMask.unmask(0)
+    .setDefaultProjection(dem.projection().atScale(10))
+    .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: 1024})
+    .reproject(projection)
+    .gte(0.5);
+
+  var boundary = flood.and(flood.focal_min(1, 'square', 'pixels').not());
+  var surface = dem.updateMask(boundary);
+  CONFIG.DEPTH_FILL_RADII.forEach(function(radius) {
+    surface = surface.unmask(surface.focal_median(radius, 'circle', 'pixels'))
+      .updateMask(flood)
+      .reproject(projection);
+  });
+
+  return {
+    depth: surface.subtract(dem).max(0)
+      .updateMask(flood)
+      .reproject(projection)
+      .clip(aoi)
+      .rename('depth'),
+    flood: flood.clip(aoi).rename('flood')
+  };
+}
+
+/**
+ * Splits the event window into time-series steps: one per acquisition date
+ * of 'acquisitions', or consecutive 'stepDays' windows when it is null.
+ * Returns an ee.List of {start, end, s2Start, s2End, s1, s2}, where s1/s2
+ * count the scenes available to each step. Acquisition steps widen the
+ * Sentinel-2 window by CONFIG.TIMESERIES_S2_WINDOW_DAYS on each side.
+ */
+function getTimeSteps(startDate, endDate, aoi, orbitPass, cloudMask, acquisitions, stepDays) {
+  var steps;
+  if (acquisitions) {
+    steps = acquisitions.aggregate_array('system:time_start').map(function(time) {
+      return ee.Date(time).format('YYYY-MM-dd');
+    }).distinct().sort().map(function(day) {
+      var start = ee.Date(day);
+      return ee.Dictionary({
+        start: start,
+        end: start.advance(1, 'day'),
+        s2Start: start.advance(-CONFIG.TIMESERIES_S2_WINDOW_DAYS, 'day'),
+        s2End: start.advance(CONFIG.TIMESERIES_S2_WINDOW_DAYS + 1, 'day')
+      });
+    });
+  } else {
+    var days = endDate.difference(startDate, 'day');
+    steps = ee.List.sequence(0, days.subtract(1), stepDays).map(function(offset) {
+      var start = startDate.advance(offset, 'day');
+      var end = ee.Date(ee.Algorithms.If(
+        start.advance(stepDays, 'day').millis().gt(endDate.millis()),
+        endDate,
+        start.advance(stepDays, 'day')
+      ));
+      return ee.Dictionary({start: start, end: end, s2Start: start, s2End: end});
+    });
+  }
+  return steps.map(function(step) {
+    step = ee.Dictionary(step);
+    var start = ee.Date(step.get('start'));
+    var end = ee.Date(step.get('end'));
+    var s2Start = ee.Date(step.get('s2Start'));
+    var s2End = ee.Date(step.get('s2End'));
+    return ee.Dictionary({
+      start: start.format('YYYY-MM-dd'),
+      end: end.format('YYYY-MM-dd'),
+      s2Start: s2Start.format('YYYY-MM-dd'),
+      s2End: s2End.format('YYYY-MM-dd'),
+      s1: getS1Collection(start, end, aoi, orbitPass).size(),
+      s2: getS2Collection(s2Start, s2End, aoi, cloudMask).size()
+    });
+  });
+}
+
+
+/**
+ * Returns an ee.List of {date, mm} with the AOI-mean precipitation of each
+ * day in the window from one of CONFIG.RAINFALL_SOURCES. Days without data
+ * have no 'mm' entry.
+ */
+function getDailyPrecipitation(source, startDate, endDate, aoi) {
+  var col = ee.ImageCollection(source.collection).select(source.band)
+    .filterDate(startDate, endDate);
+  var days = endDate.difference(startDate, 'day').round();
+  return ee.List.sequence(0, days.subtract(1)).map(function(offset) {
+    var day = startDate.advance(offset, 'day');
+    var total = col.filterDate(day, day.advance(1, 'day')).sum().multiply(source.toMm);
+    var mean = total.reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: aoi,
+      scale: CONFIG.RAINFALL_SCALE,
+      maxPixels: 1e13
+    });
+    return ee.Dictionary({date: day.format('YYYY-MM-dd')})
+      .combine(ee.Dictionary(ee.Algorithms.If(mean.contains(source.band),
+        ee.Dictionary({mm: mean.get(source.band)}), ee.Dictionary({}))));
+  });
+}
+
+
+//================================================================================
+// === UI SETUP ===
+//================================================================================
+
+// --- Main Panels ---
+var mainPanel = ui.Panel({
   style: {
-    stretch: 'horizontal'
+    width: '350px',
+    padding: '8px'
   }
 });
-mainPanel.add(drawButtons);
-// --- END MODIFIED PANEL ---
+ui.root.insert(0, mainPanel);
 
-// --- Section 2: Classification Parameters ---
+var map = ui.root.widgets().get(1);
+map.style().set('cursor', 'crosshair');
+
+
+// --- Title and Description ---
 mainPanel.add(ui.Label({
-  value: '2. Classification Parameters',
+  value: 'FloodFusion',
+  style: {
+    fontSize: '20px',
+    fontWeight: 'bold'
+  }
+}));
+mainPanel.add(ui.Label('This app performs a fused Sentinel-1 and Sentinel-2 analysis to map flood extent using a Random Forest classifier.'));
+
+// --- Section 1: Analysis Scope ---
+mainPanel.add(ui.Label({
+  value: '1. Analysis Scope',
   style: {
     fontWeight: 'bold',
     fontSize: '16px',
     margin: '10px 0 4px 0'
   }
 }));
-mainPanel.add(ui.Label('Training Data (Shapefile GEE Asset ID):'));
-var trainingAssetBox = ui.Textbox({
-  value: CONFIG.DEFAULT_TRAINING_ASSET, // Use the default value
+mainPanel.add(ui.Label('Select Start & End Dates:'));
+var startDateBox = ui.Textbox({
+  value: CONFIG.DEFAULT_START_DATE,
   style: {
-    width: '95%'
+    width: '150px'
   }
 });
-mainPanel.add(trainingAssetBox);
-
-var fetchColumnsButton = ui.Button({
-  label: 'Fetch Columns',
-  onClick: fetchAndPopulateColumns,
+var endDateBox = ui.Textbox({
+  value: CONFIG.DEFAULT_END_DATE,
   style: {
-    stretch: 'horizontal',
-    margin: '4px 0 0 0'
+    width: '150px'
   }
 });
-mainPanel.add(fetchColumnsButton);
+var datePanel = ui.Panel([startDateBox, endDateBox], ui.Panel.Layout.flow('horizontal'));
+mainPanel.add(datePanel);
 
-mainPanel.add(ui.Label('Select Class Property Column:'));
-var columnSelectDropdown = ui.Select({
-  items: [],
-  placeholder: 'Fetch columns first',
-  disabled: true,
+mainPanel.add(ui.Label('Sentinel-1 Orbit Pass:'));
+var orbitSelect = ui.Select({
+  items: CONFIG.ORBIT_OPTIONS,
+  value: CONFIG.DEFAULT_S1_ORBIT,
   style: {
     width: '95%'
   }
 });
-mainPanel.add(columnSelectDropdown);
+mainPanel.add(orbitSelect);
 
-
-mainPanel.add(ui.Label('Random Forest Trees:'));
-var rfTreesBox = ui.Textbox({
-  value: CONFIG.DEFAULT_RF_TREES,
+mainPanel.add(ui.Label('Compositing:'));
+var compositingSelect = ui.Select({
+  items: [CONFIG.COMPOSITE_MEDIAN, CONFIG.COMPOSITE_MAX_WATER, CONFIG.COMPOSITE_SINGLE, CONFIG.COMPOSITE_CLOSEST],
+  value: CONFIG.COMPOSITE_MEDIAN,
+  onChange: function(method) {
+    acquisitionPanel.style().set('shown', method === CONFIG.COMPOSITE_SINGLE);
+    eventDatePanel.style().set('shown', method === CONFIG.COMPOSITE_CLOSEST);
+  },
   style: {
     width: '95%'
   }
 });
-mainPanel.add(rfTreesBox);
+mainPanel.add(compositingSelect);
 
-// --- Section 3: Post-Processing ---
-mainPanel.add(ui.Label({
-  value: '3. Post-Processing',
+var acquisitionSelect = ui.Select({
+  items: [],
+  placeholder: 'List scene dates first',
   style: {
-    fontWeight: 'bold',
-    fontSize: '16px',
-    margin: '10px 0 4px 0'
+    width: '95%'
   }
-}));
-mainPanel.add(ui.Label('Slope Threshold (degrees, 0-30):'));
-var slopeSlider = ui.Slider({
-  min: 0,
-  max: 30,
-  value: CONFIG.DEFAULT_SLOPE_THRESHOLD,
-  step: 1,
-  style: { stretch: 'horizontal' }
 });
-mainPanel.add(slopeSlider);
+var acquisitionPanel = ui.Panel({
+  widgets: [
+    ui.Button({
+      label: 'List Scene Dates',
+      onClick: listAcquisitionDates
+    }),
+    acquisitionSelect
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(acquisitionPanel);
 
-mainPanel.add(ui.Label('Min. Flood Patch Size (pixels, 0-50):'));
-var connectivitySlider = ui.Slider({
-  min: 0,
-  max: 50,
-  value: CONFIG.DEFAULT_CONNECTIVITY_THRESHOLD,
-  step: 1,
+var eventDateBox = ui.Textbox({
+  placeholder: 'YYYY-MM-DD',
+  style: {
+    width: '150px'
+  }
+});
+var eventDatePanel = ui.Panel({
+  widgets: [ui.Label('Event Date:'), eventDateBox],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(eventDatePanel);
+
+mainPanel.add(ui.Label('Analysis Mode:'));
+var modeSelect = ui.Select({
+  items: [CONFIG.MODE_SINGLE, CONFIG.MODE_CHANGE],
+  value: CONFIG.MODE_SINGLE,
+  onChange: function(mode) {
+    preEventPanel.style().set('shown', mode === CONFIG.MODE_CHANGE);
+  },
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(modeSelect);
+
+// Reference (dry-season) window, only shown in change-detection mode
+var preStartDateBox = ui.Textbox({
+  value: CONFIG.DEFAULT_PRE_START_DATE,
+  style: {
+    width: '150px'
+  }
+});
+var preEndDateBox = ui.Textbox({
+  value: CONFIG.DEFAULT_PRE_END_DATE,
+  style: {
+    width: '150px'
+  }
+});
+var preEventPanel = ui.Panel({
+  widgets: [
+    ui.Label('Pre-event Reference Dates (dry season):'),
+    ui.Panel([preStartDateBox, preEndDateBox], ui.Panel.Layout.flow('horizontal'))
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(preEventPanel);
+
+
+mainPanel.add(ui.Label('Define Area of Interest (AOI):'));
+var drawingTools = map.drawingTools();
+drawingTools.setShown(false);
+while (drawingTools.layers().length() > 0) {
+  drawingTools.layers().remove(drawingTools.layers().get(0));
+}
+var dummyGeometry = ui.Map.GeometryLayer({
+  geometries: null,
+  name: 'geometry',
+  color: 'red'
+});
+drawingTools.layers().add(dummyGeometry);
+
+// Training geometry layers, digitized in section 2
+var floodPointsLayer = ui.Map.GeometryLayer({
+  geometries: null,
+  name: 'flood_training',
+  color: CONFIG.DIGITIZE_COLORS.flood
+});
+var nonFloodPointsLayer = ui.Map.GeometryLayer({
+  geometries: null,
+  name: 'nonflood_training',
+  color: CONFIG.DIGITIZE_COLORS.nonFlood
+});
+drawingTools.layers().add(floodPointsLayer);
+drawingTools.layers().add(nonFloodPointsLayer);
+
+// The AOI is a single shape; training layers stay in drawing mode so
+// several points can be clicked in a row.
+drawingTools.onDraw(function(geometry, layer) {
+  if (layer.getName() === dummyGeometry.getName()) {
+    drawingTools.stop();
+  }
+  updateDigitizedCounts();
+});
+drawingTools.onEdit(function() {
+  updateDigitizedCounts();
+});
+drawingTools.onErase(function() {
+  updateDigitizedCounts();
+});
+
+function clearAndDraw(shape) {
+  resetApp(false);  
+  drawingTools.setSelected(dummyGeometry);
+  drawingTools.setShape(shape);
+  drawingTools.draw();
+}
+
+// --- MODIFIED DRAW BUTTONS PANEL to include Default AOI ---
+var drawButtons = ui.Panel({
+  widgets: [
+    ui.Button({
+      label: '⬛ Rectangle',
+      onClick: function() {
+        clearAndDraw('rectangle');
+      },
+      style: {
+        stretch: 'horizontal'
+      }
+    }),
+    ui.Button({
+      label: '🔺 Polygon',
+      onClick: function() {
+        clearAndDraw('polygon');
+      },
+      style: {
+        stretch: 'horizontal'
+      }
+    }),
+    ui.Button({ 
+      label: '📍 Default AOI',
+      onClick: loadDefaultAoi,
+      style: {
+        stretch: 'horizontal',
+        backgroundColor: '#D6EAF8' 
+      }
+    })
+  ],
+  layout: ui.Panel.Layout.flow('horizontal'),
+  style: {
+    stretch: 'horizontal'
+  }
+});
+mainPanel.add(drawButtons);
+// --- END MODIFIED PANEL ---
+
+// Other AOI inputs; each method has its own panel below the select
+var aoiInputSelect = ui.Select({
+  items: [CONFIG.AOI_DRAW, CONFIG.AOI_PASTE, CONFIG.AOI_ASSET, CONFIG.AOI_ADMIN],
+  value: CONFIG.AOI_DRAW,
+  onChange: function(value) {
+    aoiPastePanel.style().set('shown', value === CONFIG.AOI_PASTE);
+    aoiAssetPanel.style().set('shown', value === CONFIG.AOI_ASSET);
+    aoiAdminPanel.style().set('shown', value === CONFIG.AOI_ADMIN);
+    if (value === CONFIG.AOI_ADMIN && adminSelects[0].items().length() === 0) {
+      populateAdminLevel(0);
+    }
+  },
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(aoiInputSelect);
+
+var aoiTextBox = ui.Textbox({
+  placeholder: 'GeoJSON geometry/feature/collection or WKT polygon',
+  style: {
+    width: '95%'
+  }
+});
+var aoiPastePanel = ui.Panel({
+  widgets: [
+    aoiTextBox,
+    ui.Button({
+      label: 'Load Pasted AOI',
+      onClick: loadPastedAoi
+    })
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(aoiPastePanel);
+
+var aoiAssetBox = ui.Textbox({
+  placeholder: 'e.g. users/your_name/boundaries',
+  style: {
+    width: '95%'
+  }
+});
+var aoiFilterColumnBox = ui.Textbox({
+  placeholder: 'Filter column (optional)',
+  style: {
+    width: '45%'
+  }
+});
+var aoiFilterValueBox = ui.Textbox({
+  placeholder: 'Filter value (optional)',
+  style: {
+    width: '45%'
+  }
+});
+var aoiAssetPanel = ui.Panel({
+  widgets: [
+    aoiAssetBox,
+    ui.Panel([aoiFilterColumnBox, aoiFilterValueBox], ui.Panel.Layout.flow('horizontal')),
+    ui.Button({
+      label: 'Load Asset AOI',
+      onClick: loadAssetAoi
+    })
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(aoiAssetPanel);
+
+// One select per CONFIG.ADMIN_LEVELS column; choosing a value fills the next
+var adminSelects = CONFIG.ADMIN_LEVELS.map(function(level, i) {
+  return ui.Select({
+    items: [],
+    placeholder: level,
+    onChange: function() {
+      for (var next = i + 1; next < adminSelects.length; next++) {
+        adminSelects[next].items().reset([]);
+        adminSelects[next].setValue(null, false);
+        adminSelects[next].setPlaceholder(CONFIG.ADMIN_LEVELS[next]);
+      }
+      if (i + 1 < adminSelects.length) {
+        populateAdminLevel(i + 1);
+      }
+    },
+    style: {
+      width: '95%'
+    }
+  });
+});
+var aoiAdminPanel = ui.Panel({
+  widgets: adminSelects.concat([
+    ui.Button({
+      label: 'Load Administrative Unit',
+      onClick: loadAdminAoi
+    })
+  ]),
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(aoiAdminPanel);
+
+// --- Section 2: Classification Parameters ---
+mainPanel.add(ui.Label({
+  value: '2. Classification Parameters',
+  style: {
+    fontWeight: 'bold',
+    fontSize: '16px',
+    margin: '10px 0 4px 0'
+  }
+}));
+mainPanel.add(ui.Label('Sensors:'));
+var sensorSelect = ui.Select({
+  items: [CONFIG.SENSOR_AUTO, CONFIG.SENSOR_FUSED, CONFIG.SENSOR_S1, CONFIG.SENSOR_S2],
+  value: CONFIG.SENSOR_AUTO,
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(sensorSelect);
+
+mainPanel.add(ui.Label('Sentinel-2 Cloud Mask:'));
+var cloudMaskSelect = ui.Select({
+  items: [CONFIG.CLOUD_MASK_QA60, CONFIG.CLOUD_MASK_S2CLOUDLESS, CONFIG.CLOUD_MASK_SCL],
+  value: CONFIG.CLOUD_MASK_QA60,
+  onChange: function(method) {
+    cloudProbabilityPanel.style().set('shown', method === CONFIG.CLOUD_MASK_S2CLOUDLESS);
+  },
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(cloudMaskSelect);
+var cloudProbabilitySlider = ui.Slider({
+  min: 10,
+  max: 90,
+  value: CONFIG.DEFAULT_CLOUD_PROBABILITY,
+  step: 5,
   style: { stretch: 'horizontal' }
 });
-mainPanel.add(connectivitySlider);
+var cloudProbabilityPanel = ui.Panel({
+  widgets: [ui.Label('Cloud Probability Threshold (%, 10-90):'), cloudProbabilitySlider],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(cloudProbabilityPanel);
 
-// --- Execution and Status ---
-var runButton = ui.Button({
-  label: 'Run Analysis',
-  onClick: runAnalysis,
+mainPanel.add(ui.Label('Sentinel-1 Speckle Filter:'));
+var speckleFilterSelect = ui.Select({
+  items: [CONFIG.SPECKLE_NONE, CONFIG.SPECKLE_BOXCAR, CONFIG.SPECKLE_LEE, CONFIG.SPECKLE_REFINED_LEE,
+    CONFIG.SPECKLE_GAMMA_MAP, CONFIG.SPECKLE_QUEGAN],
+  value: CONFIG.SPECKLE_REFINED_LEE,
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(speckleFilterSelect);
+var terrainFlatteningCheckbox = ui.Checkbox({
+  label: 'Terrain flattening (mask layover/shadow)',
+  value: false
+});
+mainPanel.add(terrainFlatteningCheckbox);
+
+mainPanel.add(ui.Label('Classification Method:'));
+var methodSelect = ui.Select({
+  items: [CONFIG.METHOD_SUPERVISED, CONFIG.METHOD_OTSU],
+  value: CONFIG.METHOD_SUPERVISED,
+  onChange: function(method) {
+    trainingPanel.style().set('shown', method === CONFIG.METHOD_SUPERVISED);
+  },
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(methodSelect);
+
+// Training inputs, hidden when the unsupervised method is selected
+var trainingPanel = ui.Panel({
+  style: {
+    padding: '0'
+  }
+});
+mainPanel.add(trainingPanel);
+
+trainingPanel.add(ui.Label('Training Data (Shapefile GEE Asset ID):'));
+var trainingAssetBox = ui.Textbox({
+  value: CONFIG.DEFAULT_TRAINING_ASSET, // Use the default value
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(trainingAssetBox);
+
+var fetchColumnsButton = ui.Button({
+  label: 'Fetch Columns',
+  onClick: fetchAndPopulateColumns,
   style: {
     stretch: 'horizontal',
-    fontWeight: 'bold',
-    backgroundColor: '#E74C3C',
-    color: 'black',
-    margin: '10px 0 0 0'
+    margin: '4px 0 0 0'
+  }
+});
+trainingPanel.add(fetchColumnsButton);
+
+trainingPanel.add(ui.Label('Select Class Property Column:'));
+var columnSelectDropdown = ui.Select({
+  items: [],
+  placeholder: 'Fetch columns first',
+  disabled: true,
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(columnSelectDropdown);
+
+// Labels beyond 0/1 give a multi-class map; these classes make up the flood area
+trainingPanel.add(ui.Label('Flooded Classes (counted as flood):'));
+var floodClassCheckboxes = {};
+var floodClassPanel = ui.Panel({
+  layout: ui.Panel.Layout.flow('horizontal', true),
+  style: {
+    stretch: 'horizontal'
+  }
+});
+CONFIG.CLASSES.forEach(function(entry) {
+  floodClassCheckboxes[entry.value] = ui.Checkbox({
+    label: entry.value + ': ' + entry.name,
+    value: entry.flooded,
+    style: {
+      margin: '2px 8px 2px 0'
+    }
+  });
+  floodClassPanel.add(floodClassCheckboxes[entry.value]);
+});
+trainingPanel.add(floodClassPanel);
+
+trainingPanel.add(ui.Label('Training Source:'));
+var trainingSourceSelect = ui.Select({
+  items: [CONFIG.TRAINING_ASSET, CONFIG.TRAINING_DIGITIZED, CONFIG.TRAINING_BOTH],
+  value: CONFIG.TRAINING_ASSET,
+  onChange: function(source) {
+    digitizePanel.style().set('shown', source !== CONFIG.TRAINING_ASSET);
+  },
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(trainingSourceSelect);
+
+// Digitizing controls, shown when digitized training data is used
+var digitizedCountLabel = ui.Label('Digitized: Flood 0 | Non-flood 0', { fontSize: '12px' });
+var digitizePolygonsCheckbox = ui.Checkbox({
+  label: 'Draw polygons instead of points',
+  value: false
+});
+var digitizeDownloadPanel = ui.Panel();
+var digitizePanel = ui.Panel({
+  widgets: [
+    ui.Button({
+      label: 'Preview Imagery',
+      onClick: previewImagery,
+      style: {
+        stretch: 'horizontal'
+      }
+    }),
+    ui.Panel([
+      ui.Button({
+        label: '💧 Flood',
+        onClick: function() {
+          startDigitizing(floodPointsLayer);
+        }
+      }),
+      ui.Button({
+        label: '🌿 Non-flood',
+        onClick: function() {
+          startDigitizing(nonFloodPointsLayer);
+        }
+      }),
+      ui.Button({
+        label: '✋ Stop',
+        onClick: function() {
+          drawingTools.stop();
+        }
+      })
+    ], ui.Panel.Layout.flow('horizontal')),
+    digitizePolygonsCheckbox,
+    digitizedCountLabel,
+    ui.Panel([
+      ui.Button({
+        label: 'Clear Digitized',
+        onClick: clearDigitized
+      }),
+      ui.Button({
+        label: 'Export Digitized',
+        onClick: exportDigitized
+      })
+    ], ui.Panel.Layout.flow('horizontal')),
+    digitizeDownloadPanel
+  ],
+  style: {
+    shown: false
+  }
+});
+trainingPanel.add(digitizePanel);
+
+
+trainingPanel.add(ui.Label('Classifier:'));
+var classifierSelect = ui.Select({
+  items: CONFIG.CLASSIFIER_OPTIONS,
+  value: 'RF',
+  onChange: function(type) {
+    for (var key in classifierParamPanels) {
+      classifierParamPanels[key].style().set('shown', key === type);
+    }
+  },
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(classifierSelect);
+
+/**
+ * Adds a labelled parameter textbox to a panel and returns the textbox.
+ */
+function addParamBox(panel, label, value) {
+  var box = ui.Textbox({
+    value: value,
+    placeholder: 'default',
+    style: {
+      width: '100px'
+    }
+  });
+  panel.add(ui.Panel([ui.Label(label, { width: '170px' }), box], ui.Panel.Layout.flow('horizontal')));
+  return box;
+}
+
+var classifierParamPanels = {
+  RF: ui.Panel(),
+  GTB: ui.Panel({ style: { shown: false } }),
+  SVM: ui.Panel({ style: { shown: false } }),
+  CART: ui.Panel({ style: { shown: false } })
+};
+
+var rfTreesBox = addParamBox(classifierParamPanels.RF, 'Random Forest Trees:', CONFIG.DEFAULT_RF_TREES);
+var rfVariablesBox = addParamBox(classifierParamPanels.RF, 'Variables per Split:', '');
+var rfMinLeafBox = addParamBox(classifierParamPanels.RF, 'Min. Leaf Population:', CONFIG.DEFAULT_RF_MIN_LEAF);
+var rfBagFractionBox = addParamBox(classifierParamPanels.RF, 'Bag Fraction:', CONFIG.DEFAULT_RF_BAG_FRACTION);
+
+var gtbTreesBox = addParamBox(classifierParamPanels.GTB, 'Number of Trees:', CONFIG.DEFAULT_GTB_TREES);
+var gtbShrinkageBox = addParamBox(classifierParamPanels.GTB, 'Shrinkage:', CONFIG.DEFAULT_GTB_SHRINKAGE);
+var gtbSamplingRateBox = addParamBox(classifierParamPanels.GTB, 'Sampling Rate:', CONFIG.DEFAULT_GTB_SAMPLING_RATE);
+
+var svmKernelSelect = ui.Select({
+  items: CONFIG.SVM_KERNELS,
+  value: CONFIG.DEFAULT_SVM_KERNEL
+});
+classifierParamPanels.SVM.add(ui.Panel([ui.Label('Kernel:', { width: '170px' }), svmKernelSelect], ui.Panel.Layout.flow('horizontal')));
+var svmGammaBox = addParamBox(classifierParamPanels.SVM, 'Gamma:', CONFIG.DEFAULT_SVM_GAMMA);
+var svmCostBox = addParamBox(classifierParamPanels.SVM, 'Cost:', CONFIG.DEFAULT_SVM_COST);
+
+var cartMaxNodesBox = addParamBox(classifierParamPanels.CART, 'Max. Nodes:', '');
+var cartMinLeafBox = addParamBox(classifierParamPanels.CART, 'Min. Leaf Population:', CONFIG.DEFAULT_CART_MIN_LEAF);
+
+for (var paramPanelKey in classifierParamPanels) {
+  trainingPanel.add(classifierParamPanels[paramPanelKey]);
+}
+
+var gridSearchCheckbox = ui.Checkbox({
+  label: 'Grid search (tune parameters on the training split)',
+  value: false
+});
+trainingPanel.add(gridSearchCheckbox);
+
+trainingPanel.add(ui.Label('Validation Strategy:'));
+var validationSelect = ui.Select({
+  items: [CONFIG.VALIDATION_SPLIT, CONFIG.VALIDATION_KFOLD, CONFIG.VALIDATION_SPATIAL],
+  value: CONFIG.VALIDATION_SPLIT,
+  onChange: function(strategy) {
+    splitPanel.style().set('shown', strategy === CONFIG.VALIDATION_SPLIT);
+    foldsBox.setDisabled(strategy === CONFIG.VALIDATION_SPLIT);
+    blockSizeBox.setDisabled(strategy !== CONFIG.VALIDATION_SPATIAL);
+  },
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(validationSelect);
+
+var splitSlider = ui.Slider({
+  min: 0.5,
+  max: 0.9,
+  value: CONFIG.DEFAULT_TRAINING_SPLIT,
+  step: 0.05,
+  style: { stretch: 'horizontal' }
+});
+var splitPanel = ui.Panel([ui.Label('Training Share of Samples (0.5-0.9):'), splitSlider]);
+trainingPanel.add(splitPanel);
+var seedBox = addParamBox(trainingPanel, 'Random Seed:', CONFIG.DEFAULT_SEED);
+var foldsBox = addParamBox(trainingPanel, 'Number of Folds (k):', CONFIG.DEFAULT_FOLDS);
+var blockSizeBox = addParamBox(trainingPanel, 'Spatial Block Size (m):', CONFIG.DEFAULT_BLOCK_SIZE);
+foldsBox.setDisabled(true);
+blockSizeBox.setDisabled(true);
+
+trainingPanel.add(ui.Label('Class Balancing:'));
+var balancingSelect = ui.Select({
+  items: [CONFIG.BALANCE_NONE, CONFIG.BALANCE_DOWNSAMPLE, CONFIG.BALANCE_STRATIFIED],
+  value: CONFIG.BALANCE_NONE,
+  onChange: function(balancing) {
+    samplesPerClassBox.setDisabled(balancing !== CONFIG.BALANCE_STRATIFIED);
+  },
+  style: {
+    width: '95%'
+  }
+});
+trainingPanel.add(balancingSelect);
+var samplesPerClassBox = addParamBox(trainingPanel, 'Max. Samples per Class:', CONFIG.DEFAULT_SAMPLES_PER_CLASS);
+samplesPerClassBox.setDisabled(true);
+
+var probabilityCheckbox = ui.Checkbox({
+  label: 'Probability output (not available for SVM)',
+  value: false,
+  onChange: function(checked) {
+    probabilityPanel.style().set('shown', checked);
+  }
+});
+trainingPanel.add(probabilityCheckbox);
+
+var probabilityCutoffSlider = ui.Slider({
+  min: 0.05,
+  max: 0.95,
+  value: CONFIG.DEFAULT_PROBABILITY_CUTOFF,
+  step: 0.05,
+  style: { stretch: 'horizontal' }
+});
+var probabilityPanel = ui.Panel({
+  widgets: [
+    ui.Label('Flood Probability Cutoff (0.05-0.95):'),
+    probabilityCutoffSlider
+  ],
+  style: {
+    shown: false
+  }
+});
+trainingPanel.add(probabilityPanel);
+
+trainingPanel.add(ui.Label('Additional Features:'));
+var featureCheckboxes = {};
+var featurePanel = ui.Panel({
+  layout: ui.Panel.Layout.flow('horizontal', true),
+  style: {
+    stretch: 'horizontal'
+  }
+});
+CONFIG.FEATURES.forEach(function(feature) {
+  featureCheckboxes[feature.name] = ui.Checkbox({
+    label: feature.label,
+    value: false,
+    style: {
+      margin: '2px 8px 2px 0'
+    }
+  });
+  featurePanel.add(featureCheckboxes[feature.name]);
+});
+trainingPanel.add(featurePanel);
+
+// --- Section 3: Post-Processing ---
+mainPanel.add(ui.Label({
+  value: '3. Post-Processing',
+  style: {
+    fontWeight: 'bold',
+    fontSize: '16px',
+    margin: '10px 0 4px 0'
+  }
+}));
+mainPanel.add(ui.Label('Terrain Mask:'));
+var terrainModeSelect = ui.Select({
+  items: [CONFIG.TERRAIN_SLOPE, CONFIG.TERRAIN_HAND, CONFIG.TERRAIN_BOTH],
+  value: CONFIG.TERRAIN_SLOPE,
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(terrainModeSelect);
+
+mainPanel.add(ui.Label('Slope Threshold (degrees, 0-30):'));
+var slopeSlider = ui.Slider({
+  min: 0,
+  max: 30,
+  value: CONFIG.DEFAULT_SLOPE_THRESHOLD,
+  step: 1,
+  style: { stretch: 'horizontal' }
+});
+mainPanel.add(slopeSlider);
+
+mainPanel.add(ui.Label('HAND Threshold (m above drainage, 0-100):'));
+var handSlider = ui.Slider({
+  min: 0,
+  max: 100,
+  value: CONFIG.DEFAULT_HAND_THRESHOLD,
+  step: 1,
+  style: { stretch: 'horizontal' }
+});
+mainPanel.add(handSlider);
+
+mainPanel.add(ui.Label('Min. Flood Patch Size (pixels, 0-50):'));
+var connectivitySlider = ui.Slider({
+  min: 0,
+  max: 50,
+  value: CONFIG.DEFAULT_CONNECTIVITY_THRESHOLD,
+  step: 1,
+  style: { stretch: 'horizontal' }
+});
+mainPanel.add(connectivitySlider);
+
+var jrcCheckbox = ui.Checkbox({
+  label: 'Exclude permanent water (JRC Global Surface Water)',
+  value: false,
+  onChange: function(checked) {
+    jrcPanel.style().set('shown', checked);
+  }
+});
+mainPanel.add(jrcCheckbox);
+
+var jrcOccurrenceSlider = ui.Slider({
+  min: 5, // 0 would mark every pixel ever seen as water
+  max: 100,
+  value: CONFIG.DEFAULT_JRC_OCCURRENCE_THRESHOLD,
+  step: 5,
+  style: { stretch: 'horizontal' }
+});
+var jrcSeasonalitySlider = ui.Slider({
+  min: 1,
+  max: 12,
+  value: CONFIG.DEFAULT_JRC_SEASONALITY_THRESHOLD,
+  step: 1,
+  style: { stretch: 'horizontal' }
+});
+var jrcPanel = ui.Panel({
+  widgets: [
+    ui.Label('JRC Occurrence Threshold (%, 5-100):'),
+    jrcOccurrenceSlider,
+    ui.Label('JRC Seasonality Threshold (months, 1-12):'),
+    jrcSeasonalitySlider
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(jrcPanel);
+
+var impactCheckbox = ui.Checkbox({
+  label: 'Assess impact (population, land cover, buildings)',
+  value: false
+});
+mainPanel.add(impactCheckbox);
+
+var zonalCheckbox = ui.Checkbox({
+  label: 'Zonal statistics by administrative unit',
+  value: false
+});
+mainPanel.add(zonalCheckbox);
+
+var depthCheckbox = ui.Checkbox({
+  label: 'Estimate flood depth (FwDET, from DEM)',
+  value: false
+});
+mainPanel.add(depthCheckbox);
+
+var timeSeriesCheckbox = ui.Checkbox({
+  label: 'Flood time series across the event window',
+  value: false,
+  onChange: function(checked) {
+    timeSeriesPanel.style().set('shown', checked);
+  }
+});
+mainPanel.add(timeSeriesCheckbox);
+
+var timeSeriesStepSelect = ui.Select({
+  items: [CONFIG.TIMESERIES_ACQUISITION, CONFIG.TIMESERIES_NDAY],
+  value: CONFIG.TIMESERIES_ACQUISITION,
+  onChange: function(value) {
+    timeSeriesDaysPanel.style().set('shown', value === CONFIG.TIMESERIES_NDAY);
+  },
+  style: {
+    width: '95%'
+  }
+});
+var timeSeriesDaysPanel = ui.Panel({
+  style: {
+    shown: false
+  }
+});
+var timeSeriesDaysBox = addParamBox(timeSeriesDaysPanel, 'Step Length (days):', CONFIG.DEFAULT_TIMESERIES_STEP_DAYS);
+var timeSeriesPanel = ui.Panel({
+  widgets: [
+    ui.Label('Time Steps:'),
+    timeSeriesStepSelect,
+    timeSeriesDaysPanel
+  ],
+  style: {
+    shown: false
+  }
+});
+mainPanel.add(timeSeriesPanel);
+
+var rainfallCheckbox = ui.Checkbox({
+  label: 'Rainfall context (daily and cumulative precipitation)',
+  value: false,
+  onChange: function(checked) {
+    rainfallSourceSelect.style().set('shown', checked);
+  }
+});
+mainPanel.add(rainfallCheckbox);
+
+var rainfallSourceSelect = ui.Select({
+  items: CONFIG.RAINFALL_SOURCES.map(function(source) {
+    return source.label;
+  }).concat(['Both']),
+  value: CONFIG.RAINFALL_SOURCES[0].label,
+  style: {
+    width: '95%',
+    shown: false
+  }
+});
+mainPanel.add(rainfallSourceSelect);
+
+// --- Execution and Status ---
+var runButton = ui.Button({
+  label: 'Run Analysis',
+  onClick: runAnalysis,
+  style: {
+    stretch: 'horizontal',
+    fontWeight: 'bold',
+    backgroundColor: '#E74C3C',
+    color: 'black',
+    margin: '10px 0 0 0'
+  }
+});
+var statusLabel = ui.Label({
+  value: 'Status: Ready.',
+  style: {
+    margin: '8px 0',
+    color: 'gray'
+  }
+});
+mainPanel.add(runButton);
+mainPanel.add(statusLabel);
+
+// --- Results Panel ---
+var resultsPanel = ui.Panel({
+  style: {
+    padding: '0 8px'
+  }
+});
+mainPanel.add(resultsPanel);
+
+// --- Export Panel (shown once a run has completed) ---
+var exportAssetFolderBox = ui.Textbox({
+  placeholder: 'e.g. users/your_name or projects/your_project/assets',
+  style: {
+    width: '95%'
+  }
+});
+var exportLinksPanel = ui.Panel();
+var exportPanel = ui.Panel({
+  widgets: [
+    ui.Label({
+      value: '4. Export',
+      style: {
+        fontWeight: 'bold',
+        fontSize: '16px',
+        margin: '10px 0 4px 0'
+      }
+    }),
+    ui.Label('Drive and asset exports start tasks in the Code Editor Tasks tab.', { fontSize: '12px', color: 'gray' }),
+    ui.Label('Asset Folder (for asset exports):'),
+    exportAssetFolderBox,
+    ui.Panel([
+      ui.Button({
+        label: 'Flood Mask → Drive',
+        onClick: function() {
+          exportRasters('drive');
+        }
+      }),
+      ui.Button({
+        label: 'Flood Mask → Asset',
+        onClick: function() {
+          exportRasters('asset');
+        }
+      })
+    ], ui.Panel.Layout.flow('horizontal')),
+    ui.Panel([
+      ui.Button({
+        label: 'Flood Polygons',
+        onClick: exportFloodVectors
+      }),
+      ui.Button({
+        label: 'Run Metadata',
+        onClick: exportRunMetadata
+      })
+    ], ui.Panel.Layout.flow('horizontal')),
+    exportLinksPanel
+  ],
+  style: {
+    shown: false,
+    padding: '0 8px'
+  }
+});
+mainPanel.add(exportPanel);
+
+// --- Section 5: Settings & Sharing ---
+mainPanel.add(ui.Label({
+  value: '5. Settings & Sharing',
+  style: {
+    fontWeight: 'bold',
+    fontSize: '16px',
+    margin: '10px 0 4px 0'
+  }
+}));
+mainPanel.add(ui.Label('Preset:'));
+var presetSelect = ui.Select({
+  items: SETTINGS_PRESETS.map(function(preset) {
+    return preset.name;
+  }),
+  placeholder: 'Choose a preset',
+  onChange: applyPreset,
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(presetSelect);
+var presetNameBox = ui.Textbox({
+  placeholder: 'Preset name',
+  style: {
+    width: '55%'
+  }
+});
+mainPanel.add(ui.Panel([
+  presetNameBox,
+  ui.Button({
+    label: 'Save Preset',
+    onClick: savePreset
+  })
+], ui.Panel.Layout.flow('horizontal')));
+
+var autoRunCheckbox = ui.Checkbox({
+  label: 'Auto-run when the link is opened',
+  value: false
+});
+mainPanel.add(autoRunCheckbox);
+mainPanel.add(ui.Button({
+  label: 'Update Shareable Link',
+  onClick: function() {
+    writeSettingsToUrl();
+    statusLabel.setValue('Status: The browser address now holds these settings; copy it to share.')
+      .style().set('color', 'blue');
+  },
+  style: {
+    stretch: 'horizontal'
+  }
+}));
+
+var settingsJsonBox = ui.Textbox({
+  placeholder: 'Settings JSON',
+  style: {
+    width: '95%'
+  }
+});
+mainPanel.add(settingsJsonBox);
+mainPanel.add(ui.Panel([
+  ui.Button({
+    label: 'Export Settings (JSON)',
+    onClick: function() {
+      var settings = getSettings();
+      settings.aoi = getAoiGeoJson(false);
+      settingsJsonBox.setValue(JSON.stringify(settings));
+    }
+  }),
+  ui.Button({
+    label: 'Import Settings',
+    onClick: importSettingsJson
+  })
+], ui.Panel.Layout.flow('horizontal')));
+
+// --- Legend Panel ---
+var legendPanel = ui.Panel({
+  style: {
+    position: 'bottom-left',
+    padding: '8px 15px',
+    backgroundColor: 'rgba(255, 255, 255, 0.8)'
+  }
+});
+
+// --- Area Display Panel ---
+var areaPanelLabel = ui.Label('Flooded Area: N/A', {
+  fontWeight: 'bold',
+  fontSize: '14px',
+  margin: '0',
+});
+var areaPanel = ui.Panel({
+  widgets: [areaPanelLabel],
+  style: {
+    position: 'bottom-right',
+    padding: '8px 15px',
+    backgroundColor: 'rgba(255, 255, 255, 0.8)'
+  }
+});
+map.add(areaPanel);
+
+
+function buildLegend(title, legendInfo) {
+  legendPanel.clear();
+  var legendTitle = ui.Label({
+    value: title,
+    style: {
+      fontWeight: 'bold',
+      fontSize: '18px',
+      margin: '0 0 4px 0',
+      padding: '0'
+    }
+  });
+  legendPanel.add(legendTitle);
+  for (var key in legendInfo) {
+    var name = key;
+    var color = legendInfo[key];
+    var colorBox = ui.Label({
+      style: {
+        backgroundColor: color,
+        padding: '8px',
+        margin: '0 0 4px 0'
+      }
+    });
+    var description = ui.Label({
+      value: name,
+      style: {
+        margin: '0 0 4px 6px'
+      }
+    });
+    var legendItemPanel = ui.Panel([colorBox, description], ui.Panel.Layout.flow('horizontal'));
+    legendPanel.add(legendItemPanel);
+  }
+}
+map.add(legendPanel);
+
+/**
+ * Copies legend entries from 'entries' into 'legendInfo'.
+ */
+function addLegendEntries(legendInfo, entries) {
+  for (var key in entries) {
+    legendInfo[key] = entries[key];
+  }
+  return legendInfo;
+}
+
+//================================================================================
+// === APP LOGIC & EVENT HANDLERS ===
+//================================================================================
+
+// Outputs of the most recent completed run, used by the export section:
+// {aoi, floodMask, probability, depth, depthExtent, params, runInfo, summary, legendInfo,
+//  mapFlood, buildStack}
+var lastRun = null;
+
+// AOI of the run in progress; handleError puts it back if the run fails
+var runningAoi = null;
+
+/**
+ * Resets the application state.
+ */
+function resetApp(clearAoi) {
+  lastRun = null;
+  runningAoi = null;
+  exportPanel.style().set('shown', false);
+  exportLinksPanel.clear();
+  map.layers().reset();
+  if (clearAoi) {
+      drawingTools.layers().get(0).geometries().reset();
+  }
+  resultsPanel.clear();
+  legendPanel.clear();
+  areaPanelLabel.setValue('Flooded Area: N/A');
+  statusLabel.setValue('Status: Ready. Please draw an Area of Interest (AOI).').style().set('color', 'gray');
+  runButton.setDisabled(false);
+}
+
+/**
+ * Returns the administrative boundary collection: CONFIG.ADMIN_BOUNDARIES,
+ * or the 'Nepal' import when no asset is configured. Null if neither exists.
+ */
+function getAdminBoundaries() {
+  if (CONFIG.ADMIN_BOUNDARIES) {
+    return ee.FeatureCollection(CONFIG.ADMIN_BOUNDARIES);
+  }
+  return typeof Nepal === 'undefined' ? null : Nepal;
+}
+
+/**
+ * Names the boundary collection getAdminBoundaries uses, for error messages.
+ */
+function describeAdminBoundaries() {
+  return CONFIG.ADMIN_BOUNDARIES ? '"' + CONFIG.ADMIN_BOUNDARIES + '"' : 'the "Nepal" import';
+}
+
+/**
+ * Replaces the AOI with a server-side geometry and zooms to it. 'label'
+ * names the AOI in the status line. The optional 'onLoaded' runs once the
+ * AOI is on the map, after the status line is updated.
+ */
+function setAoi(geometry, label, onLoaded) {
+  resetApp(true); // Reset the map and clear any existing AOI geometry
+  drawingTools.stop();
+  statusLabel.setValue('Status: Loading ' + label + '...').style().set('color', 'orange');
+
+  // Compute the geometry on the server and add the GeoJSON to the AOI layer
+  ee.Geometry(geometry).evaluate(function(geojson, error) {
+    if (error || !geojson) {
+      handleError('Could not load ' + label + ': ' + error);
+      return;
+    }
+    var geometryLayer = drawingTools.layers().get(0);
+    geometryLayer.geometries().reset();
+    geometryLayer.geometries().add(geojson);
+    map.centerObject(ee.Geometry(geojson), 12);
+
+    statusLabel.setValue('Status: ' + label + ' loaded. Ready to run.').style().set('color', 'blue');
+    if (onLoaded) {
+      onLoaded();
+    }
+  });
+}
+
+/**
+ * Loads the default AOI: the bounds of the unit whose CONFIG.DEFAULT_AOI_COLUMN
+ * equals CONFIG.DEFAULT_AOI_VALUE, or a small area around
+ * CONFIG.DEFAULT_AOI_FALLBACK when it is missing.
+ */
+function loadDefaultAoi() {
+  var boundaries = getAdminBoundaries();
+  if (!boundaries) {
+    handleError('No boundary asset: set CONFIG.ADMIN_BOUNDARIES or import the "Nepal" asset.');
+    return;
+  }
+
+  var label = 'Default AOI (' + CONFIG.DEFAULT_AOI_VALUE + ')';
+  var filteredFeatures = boundaries.filter(ee.Filter.eq(CONFIG.DEFAULT_AOI_COLUMN, CONFIG.DEFAULT_AOI_VALUE));
+  filteredFeatures.size().evaluate(function(count, error) {
+    if (error || !count) {
+      // Shown once the fallback has loaded, so its status does not hide the warning
+      setAoi(ee.Geometry.Point(CONFIG.DEFAULT_AOI_FALLBACK).buffer(1), 'Fallback point', function() {
+        handleError('Could not find ' + CONFIG.DEFAULT_AOI_VALUE + ' in the asset. Default point used. Check "' +
+          CONFIG.DEFAULT_AOI_COLUMN + '" value.');
+      });
+      return;
+    }
+    setAoi(filteredFeatures.geometry().bounds(), label);
+  });
+}
+
+/**
+ * Converts a WKT (Multi)Point, LineString or Polygon to a GeoJSON geometry,
+ * or returns null if the text is not 2D WKT.
+ */
+function parseWkt(text) {
+  var match = /^\s*([A-Za-z]+)\s*(\(.*\))\s*$/.exec(text.replace(/\s+/g, ' '));
+  var types = {
+    POINT: 'Point',
+    MULTIPOINT: 'MultiPoint',
+    LINESTRING: 'LineString',
+    MULTILINESTRING: 'MultiLineString',
+    POLYGON: 'Polygon',
+    MULTIPOLYGON: 'MultiPolygon'
+  };
+  if (!match || !types[match[1].toUpperCase()]) {
+    return null;
+  }
+  var number = '(-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?)';
+  var json = match[2]
+    .replace(new RegExp(number + '\\s+' + number, 'g'), '[$1,$2]')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']');
+  var coordinates;
+  try {
+    coordinates = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  var type = types[match[1].toUpperCase()];
+  if (type === 'Point') {
+    coordinates = coordinates[0];
+  } else if (type === 'MultiPoint' && Array.isArray(coordinates[0][0])) {
+    // MULTIPOINT ((x y), (x y)) form
+    coordinates = coordinates.map(function(point) {
+      return point[0];
+    });
+  }
+  return {type: type, coordinates: coordinates};
+}
+
+/**
+ * Loads the AOI pasted as GeoJSON (geometry, Feature or FeatureCollection)
+ * or WKT.
+ */
+function loadPastedAoi() {
+  var text = aoiTextBox.getValue();
+  if (!text) {
+    handleError('Paste a GeoJSON or WKT geometry first.');
+    return;
+  }
+
+  var geometry = null;
+  try {
+    var geojson = JSON.parse(text);
+    if (geojson.type === 'FeatureCollection') {
+      geometry = ee.FeatureCollection(geojson.features.map(function(feature) {
+        return ee.Feature(feature);
+      })).union(CONFIG.AOI_MAX_ERROR).geometry();
+    } else if (geojson.type === 'Feature') {
+      geometry = ee.Feature(geojson).geometry();
+    } else {
+      geometry = ee.Geometry(geojson);
+    }
+  } catch (e) {
+    var wkt = parseWkt(text);
+    geometry = wkt ? ee.Geometry(wkt) : null;
+  }
+  if (!geometry) {
+    handleError('Could not read the pasted AOI as GeoJSON or WKT.');
+    return;
+  }
+  setAoi(geometry, 'Pasted AOI');
+}
+
+/**
+ * Loads the AOI from a FeatureCollection asset, keeping only features whose
+ * filter column equals the filter value when both are given.
+ */
+function loadAssetAoi() {
+  var assetId = aoiAssetBox.getValue();
+  var column = aoiFilterColumnBox.getValue();
+  var value = aoiFilterValueBox.getValue();
+  if (!assetId) {
+    handleError('Enter a FeatureCollection asset ID.');
+    return;
+  }
+
+  var features = ee.FeatureCollection(assetId);
+  if (column && value) {
+    // Match the value as text, or as a number when it parses as one
+    var filter = ee.Filter.eq(column, value);
+    if (!isNaN(Number(value))) {
+      filter = ee.Filter.or(filter, ee.Filter.eq(column, Number(value)));
+    }
+    features = features.filter(filter);
+  }
+  features.size().evaluate(function(count, error) {
+    if (error || !count) {
+      handleError(error ? 'Could not load asset: ' + error : 'No features match the filter.');
+      return;
+    }
+    setAoi(features.union(CONFIG.AOI_MAX_ERROR).geometry(), 'Asset AOI');
+  });
+}
+
+/**
+ * Returns the boundaries matching the values chosen in the admin selects
+ * above level 'level'.
+ */
+function filterAdminSelection(boundaries, level) {
+  for (var i = 0; i < level; i++) {
+    boundaries = boundaries.filter(ee.Filter.eq(CONFIG.ADMIN_LEVELS[i], adminSelects[i].getValue()));
+  }
+  return boundaries;
+}
+
+/**
+ * Fills the admin select at 'level' with the values found under the current
+ * selection of the levels above it.
+ */
+function populateAdminLevel(level) {
+  var boundaries = getAdminBoundaries();
+  if (!boundaries) {
+    handleError('No boundary asset: set CONFIG.ADMIN_BOUNDARIES or import the "Nepal" asset.');
+    return;
+  }
+  var select = adminSelects[level];
+  select.setPlaceholder('Loading ' + CONFIG.ADMIN_LEVELS[level] + '...');
+  filterAdminSelection(boundaries, level)
+    .aggregate_array(CONFIG.ADMIN_LEVELS[level]).distinct().sort()
+    .evaluate(function(values, error) {
+      if (error) {
+        select.items().reset([]);
+        select.setPlaceholder(CONFIG.ADMIN_LEVELS[level] + ' unavailable');
+        handleError('Could not list ' + CONFIG.ADMIN_LEVELS[level] + ' from boundary asset ' +
+          describeAdminBoundaries() + ': ' + error);
+        return;
+      }
+      select.items().reset(values.map(String));
+      select.setPlaceholder(CONFIG.ADMIN_LEVELS[level]);
+    });
+}
+
+/**
+ * Loads the AOI from the finest administrative unit chosen in the selects.
+ */
+function loadAdminAoi() {
+  var boundaries = getAdminBoundaries();
+  var level = 0;
+  while (level < adminSelects.length && adminSelects[level].getValue()) {
+    level++;
+  }
+  if (!boundaries) {
+    handleError('No boundary asset: set CONFIG.ADMIN_BOUNDARIES or import the "Nepal" asset.');
+    return;
+  }
+  if (level === 0) {
+    handleError('Choose at least the first administrative level.');
+    return;
+  }
+  setAoi(filterAdminSelection(boundaries, level).union(CONFIG.AOI_MAX_ERROR).geometry(),
+    adminSelects[level - 1].getValue() + ' (' + describeAdminBoundaries() + ')');
+}
+
+
+/**
+ * Picks the sensors to classify with, given the requested mode and the data
+ * found. Auto prefers the fused stack and falls back to whichever sensor has
+ * data; S2 only counts as available when enough of the AOI is cloud-free.
+ * Returns null when the requested sensors have no data.
+ */
+function resolveSensorMode(requested, counts, changeMode) {
+  var hasS1 = counts.s1 > 0 && (!changeMode || counts.s1Pre > 0);
+  var hasS2 = counts.s2 > 0 && (!changeMode || counts.s2Pre > 0);
+  var s2Clear = hasS2 && counts.s2Coverage >= CONFIG.MIN_S2_COVERAGE &&
+    (!changeMode || counts.s2CoveragePre >= CONFIG.MIN_S2_COVERAGE);
+
+  if (requested === CONFIG.SENSOR_FUSED) {
+    return hasS1 && hasS2 ? CONFIG.SENSOR_FUSED : null;
+  }
+  if (requested === CONFIG.SENSOR_S1) {
+    return hasS1 ? CONFIG.SENSOR_S1 : null;
+  }
+  if (requested === CONFIG.SENSOR_S2) {
+    return hasS2 ? CONFIG.SENSOR_S2 : null;
+  }
+  if (hasS1 && s2Clear) {
+    return CONFIG.SENSOR_FUSED;
+  }
+  if (hasS1) {
+    return CONFIG.SENSOR_S1;
+  }
+  return hasS2 ? CONFIG.SENSOR_S2 : null;
+}
+
+
+/**
+ * Starts digitizing training points (or polygons) into the given layer.
+ */
+function startDigitizing(layer) {
+  drawingTools.setSelected(layer);
+  drawingTools.setShape(digitizePolygonsCheckbox.getValue() ? 'polygon' : 'point');
+  drawingTools.draw();
+  statusLabel.setValue('Status: Click on the map to add ' +
+    (layer === floodPointsLayer ? 'flood' : 'non-flood') + ' training data. Press Stop when done.')
+    .style().set('color', 'blue');
+}
+
+/**
+ * Refreshes the per-class count of digitized training geometries.
+ */
+function updateDigitizedCounts() {
+  digitizedCountLabel.setValue('Digitized: Flood ' + floodPointsLayer.geometries().length() +
+    ' | Non-flood ' + nonFloodPointsLayer.geometries().length());
+}
+
+/**
+ * Removes all digitized training geometries.
+ */
+function clearDigitized() {
+  drawingTools.stop();
+  floodPointsLayer.geometries().reset();
+  nonFloodPointsLayer.geometries().reset();
+  digitizeDownloadPanel.clear();
+  updateDigitizedCounts();
+}
+
+/**
+ * Returns the digitized training geometries as a FeatureCollection labelled
+ * 1 (flood) or 0 (non-flood) in 'classColumn'.
+ */
+function getDigitizedTraining(classColumn) {
+  var features = [];
+  [[floodPointsLayer, 1], [nonFloodPointsLayer, 0]].forEach(function(pair) {
+    pair[0].geometries().forEach(function(geometry) {
+      var properties = {};
+      properties[classColumn] = pair[1];
+      features.push(ee.Feature(geometry, properties));
+    });
+  });
+  return ee.FeatureCollection(features);
+}
+
+/**
+ * Adds download links for the digitized training data so it can be uploaded
+ * as an asset and reused.
+ */
+function exportDigitized() {
+  digitizeDownloadPanel.clear();
+  var total = floodPointsLayer.geometries().length() + nonFloodPointsLayer.geometries().length();
+  if (total === 0) {
+    handleError('Digitize some flood and non-flood training data first.');
+    return;
+  }
+  var digitized = getDigitizedTraining(CONFIG.DIGITIZED_CLASS_COLUMN);
+  ['GeoJSON', 'CSV', 'KML'].forEach(function(format) {
+    digitized.getDownloadURL({
+      format: format.toLowerCase(),
+      filename: 'digitized_training'
+    }, function(url, failure) {
+      if (failure) {
+        digitizeDownloadPanel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
+        return;
+      }
+      digitizeDownloadPanel.add(ui.Label({
+        value: 'Download Digitized Training (' + format + ')',
+        style: { color: 'blue', textDecoration: 'underline', margin: '2px 0' },
+        targetUrl: url
+      }));
+    });
+  });
+}
+
+/**
+ * Shows the Sentinel-1 and Sentinel-2 composites for the AOI and dates so
+ * training data can be digitized over them.
+ */
+function previewImagery() {
+  var aoi = drawingTools.layers().get(0).getEeObject();
+  if (!aoi) {
+    handleError('Please draw an Area of Interest (AOI) first.');
+    return;
+  }
+  var startDate = ee.Date(startDateBox.getValue());
+  var endDate = ee.Date(endDateBox.getValue());
+  var compositing = getCompositingOptions();
+  if (compositing.method !== CONFIG.COMPOSITE_MAX_WATER && !isDateString(compositing.date)) {
+    compositing = {method: CONFIG.COMPOSITE_MEDIAN};
+  }
+  if (compositing.method === CONFIG.COMPOSITE_SINGLE) {
+    startDate = ee.Date(compositing.date);
+    endDate = startDate.advance(1, 'day');
+  }
+  var orbitPass = orbitSelect.getValue();
+  var cloudMask = getCloudMaskOptions();
+  var s1_image = processS1_ARD(startDate, endDate, aoi, orbitPass, getS1Options(), compositing);
+  var s2_image = processS2_ARD(startDate, endDate, aoi, cloudMask, compositing);
+  map.centerObject(aoi, 12);
+  statusLabel.setValue('Status: Loading imagery...').style().set('color', 'orange');
+
+  // Composites of empty collections are placeholders, so only add layers with scenes
+  ee.Dictionary({
+    s1: getS1Collection(startDate, endDate, aoi, orbitPass).size(),
+    s2: getS2Collection(startDate, endDate, aoi, cloudMask).size()
+  }).evaluate(function(counts, error) {
+    if (error) {
+      handleError('Could not load imagery: ' + error);
+      return;
+    }
+    if (counts.s1 === 0 && counts.s2 === 0) {
+      handleError('No Sentinel-1 or Sentinel-2 scenes found for the AOI and dates.');
+      return;
+    }
+    if (counts.s2 > 0) {
+      map.addLayer(s2_image, CONFIG.VIS_S2_RGB, 'Sentinel-2 RGB');
+    }
+    if (counts.s1 > 0) {
+      map.addLayer(s1_image.select(CONFIG.S1_BANDS), CONFIG.VIS_S1_FALSE_COLOR, 'Sentinel-1 False Color',
+        counts.s2 === 0);
+    }
+    statusLabel.setValue('Status: Imagery loaded' + (counts.s2 > 0 ? '' : ' (no Sentinel-2 scenes)') +
+      '. Digitize flood and non-flood training data.').style().set('color', 'blue');
+  });
+}
+
+
+/**
+ * Fetches property names from the user-provided asset.
+ */
+function fetchAndPopulateColumns() {
+  fetchColumnsButton.setDisabled(true);
+  statusLabel.setValue('Status: Fetching columns...').style().set('color', 'orange');
+  columnSelectDropdown.setPlaceholder('Fetching...');
+
+  var assetId = trainingAssetBox.getValue();
+  if (!assetId) {
+    handleError('Please enter a training data Asset ID first.');
+    fetchColumnsButton.setDisabled(false);
+    return;
+  }
+
+  var fc;
+  try {
+    fc = ee.FeatureCollection(assetId);
+  } catch (e) {
+    handleError('Invalid Asset ID. Could not load FeatureCollection.');
+    fetchColumnsButton.setDisabled(false);
+    return;
+  }
+
+  var first = fc.first();
+  var propNames = first.propertyNames();
+
+  propNames.evaluate(function(names, error) {
+    if (error) {
+      handleError('Could not fetch column names: ' + error);
+      columnSelectDropdown.setPlaceholder('Fetch failed');
+    } else {
+      var userNames = names.filter(function(name) {
+        return name !== 'system:index';
+      });
+      
+      columnSelectDropdown.items().reset(userNames);
+      columnSelectDropdown.setDisabled(false);
+      
+      // Check if the default column exists in the list and set it
+      var defaultColumnExists = userNames.indexOf(CONFIG.DEFAULT_CLASS_COLUMN) !== -1;
+      
+      if (defaultColumnExists) {
+        columnSelectDropdown.setValue(CONFIG.DEFAULT_CLASS_COLUMN);
+        statusLabel.setValue('Status: Columns fetched. Default class selected.').style().set('color', 'blue');
+      } else {
+        columnSelectDropdown.setPlaceholder('Select a column');
+        statusLabel.setValue('Status: Columns fetched. Select class property.').style().set('color', 'blue');
+      }
+    }
+    fetchColumnsButton.setDisabled(false);
+  });
+}
+
+
+/**
+ * Reads the analysis parameters from the control panel.
+ */
+function getRunParameters() {
+  return {
+    startDate: startDateBox.getValue(),
+    endDate: endDateBox.getValue(),
+    changeMode: modeSelect.getValue() === CONFIG.MODE_CHANGE,
+    preStartDate: preStartDateBox.getValue(),
+    preEndDate: preEndDateBox.getValue(),
+    orbitPass: orbitSelect.getValue(),
+    compositing: getCompositingOptions(),
+    sensors: sensorSelect.getValue(),
+    cloudMask: getCloudMaskOptions(),
+    s1Options: getS1Options(),
+    method: methodSelect.getValue(),
+    trainingSource: trainingSourceSelect.getValue(),
+    trainingAssetId: trainingAssetBox.getValue(),
+    classColumn: columnSelectDropdown.getValue(),
+    floodClasses: getFloodClasses(),
+    classifier: classifierSelect.getValue(),
+    classifierParams: getClassifierParams(classifierSelect.getValue()),
+    gridSearch: gridSearchCheckbox.getValue(),
+    validation: validationSelect.getValue(),
+    trainingSplit: splitSlider.getValue(),
+    seed: parseOptionalNumber(seedBox.getValue()) || 0,
+    folds: Math.max(2, Math.round(parseOptionalNumber(foldsBox.getValue()) || CONFIG.DEFAULT_FOLDS)),
+    blockSize: parseOptionalNumber(blockSizeBox.getValue()) || CONFIG.DEFAULT_BLOCK_SIZE,
+    balancing: balancingSelect.getValue(),
+    samplesPerClass: parseOptionalNumber(samplesPerClassBox.getValue()) || CONFIG.DEFAULT_SAMPLES_PER_CLASS,
+    probabilityMode: probabilityCheckbox.getValue(),
+    probabilityCutoff: probabilityCutoffSlider.getValue(),
+    features: CONFIG.FEATURES.filter(function(feature) {
+      return featureCheckboxes[feature.name].getValue();
+    }).map(function(feature) {
+      return feature.name;
+    }),
+    terrainMode: terrainModeSelect.getValue(),
+    slopeThreshold: slopeSlider.getValue(),
+    handThreshold: handSlider.getValue(),
+    connectivityThreshold: connectivitySlider.getValue(),
+    maskPermanentWater: jrcCheckbox.getValue(),
+    jrcOccurrenceThreshold: jrcOccurrenceSlider.getValue(),
+    jrcSeasonalityThreshold: jrcSeasonalitySlider.getValue(),
+    assessImpact: impactCheckbox.getValue(),
+    zonalStats: zonalCheckbox.getValue(),
+    floodDepth: depthCheckbox.getValue(),
+    timeSeries: timeSeriesCheckbox.getValue(),
+    rainfall: rainfallCheckbox.getValue(),
+    rainfallSource: rainfallSourceSelect.getValue(),
+    timeSeriesStep: timeSeriesStepSelect.getValue(),
+    timeSeriesDays: Math.max(1, Math.round(parseOptionalNumber(timeSeriesDaysBox.getValue()) ||
+      CONFIG.DEFAULT_TIMESERIES_STEP_DAYS))
+  };
+}
+
+/**
+ * Returns the class values ticked under Flooded Classes.
+ */
+function getFloodClasses() {
+  return CONFIG.CLASSES.filter(function(entry) {
+    return floodClassCheckboxes[entry.value].getValue();
+  }).map(function(entry) {
+    return entry.value;
+  });
+}
+
+/**
+ * Reads the Sentinel-2 cloud masking options: {method, probability}.
+ */
+function getCloudMaskOptions() {
+  return {
+    method: cloudMaskSelect.getValue(),
+    probability: cloudProbabilitySlider.getValue()
+  };
+}
+
+/**
+ * Reads the compositing options: {method, date}, where date is the chosen
+ * acquisition day or the event date, depending on the method.
+ */
+function getCompositingOptions() {
+  var method = compositingSelect.getValue();
+  var date = null;
+  if (method === CONFIG.COMPOSITE_SINGLE) {
+    date = acquisitionSelect.getValue();
+  } else if (method === CONFIG.COMPOSITE_CLOSEST) {
+    date = eventDateBox.getValue();
+  }
+  return {method: method, date: date};
+}
+
+/**
+ * Returns true for a valid 'YYYY-MM-DD' date string.
+ */
+function isDateString(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text || '') && !isNaN(Date.parse(text));
+}
+
+/**
+ * Describes the compositing options for the results panel and metadata.
+ */
+function describeCompositing(compositing) {
+  return compositing.date ? compositing.method + ' (' + compositing.date + ')' : compositing.method;
+}
+
+/**
+ * Lists the days with Sentinel-1 and/or Sentinel-2 scenes over the AOI in
+ * the event window, for the single-acquisition compositing method.
+ */
+function listAcquisitionDates() {
+  var aoi = drawingTools.layers().get(0).getEeObject();
+  if (!aoi) {
+    handleError('Please draw an Area of Interest (AOI) first.');
+    return;
+  }
+  var startDate = ee.Date(startDateBox.getValue());
+  var endDate = ee.Date(endDateBox.getValue());
+  var toDays = function(col) {
+    return col.aggregate_array('system:time_start').map(function(time) {
+      return ee.Date(time).format('YYYY-MM-dd');
+    }).distinct();
+  };
+  acquisitionSelect.setPlaceholder('Loading scene dates...');
+  ee.Dictionary({
+    s1: toDays(getS1Collection(startDate, endDate, aoi, orbitSelect.getValue())),
+    s2: toDays(ee.ImageCollection(CONFIG.S2_COLLECTION).filterDate(startDate, endDate).filterBounds(aoi))
+  }).evaluate(function(days, error) {
+    if (error) {
+      acquisitionSelect.setPlaceholder('List scene dates first');
+      handleError('Could not list scene dates: ' + error);
+      return;
+    }
+    var all = days.s1.concat(days.s2).filter(function(day, i, list) {
+      return list.indexOf(day) === i;
+    }).sort();
+    acquisitionSelect.items().reset(all.map(function(day) {
+      var sensors = [];
+      if (days.s1.indexOf(day) !== -1) {
+        sensors.push('S1');
+      }
+      if (days.s2.indexOf(day) !== -1) {
+        sensors.push('S2');
+      }
+      return {label: day + ' (' + sensors.join('+') + ')', value: day};
+    }));
+    acquisitionSelect.setPlaceholder(all.length ? 'Choose an acquisition' : 'No scenes in the window');
+  });
+}
+
+/**
+ * Reads the Sentinel-1 preprocessing options: {speckleFilter, terrainFlattening}.
+ */
+function getS1Options() {
+  return {
+    speckleFilter: speckleFilterSelect.getValue(),
+    terrainFlattening: terrainFlatteningCheckbox.getValue()
+  };
+}
+
+/**
+ * Returns the control-panel widgets that make up the shareable settings,
+ * keyed by their URL/JSON name. The derived-feature checkboxes are stored
+ * together under 'features' and the AOI under 'aoi'.
+ */
+function getSettingWidgets() {
+  return {
+    start: startDateBox,
+    end: endDateBox,
+    orbit: orbitSelect,
+    compositing: compositingSelect,
+    acquisition: acquisitionSelect,
+    eventDate: eventDateBox,
+    mode: modeSelect,
+    preStart: preStartDateBox,
+    preEnd: preEndDateBox,
+    sensors: sensorSelect,
+    cloudMask: cloudMaskSelect,
+    cloudProbability: cloudProbabilitySlider,
+    speckle: speckleFilterSelect,
+    flattening: terrainFlatteningCheckbox,
+    method: methodSelect,
+    source: trainingSourceSelect,
+    asset: trainingAssetBox,
+    column: columnSelectDropdown,
+    classifier: classifierSelect,
+    trees: rfTreesBox,
+    mtry: rfVariablesBox,
+    minLeaf: rfMinLeafBox,
+    bag: rfBagFractionBox,
+    gtbTrees: gtbTreesBox,
+    shrinkage: gtbShrinkageBox,
+    sampling: gtbSamplingRateBox,
+    kernel: svmKernelSelect,
+    gamma: svmGammaBox,
+    cost: svmCostBox,
+    maxNodes: cartMaxNodesBox,
+    cartMinLeaf: cartMinLeafBox,
+    grid: gridSearchCheckbox,
+    validation: validationSelect,
+    split: splitSlider,
+    seed: seedBox,
+    folds: foldsBox,
+    block: blockSizeBox,
+    balancing: balancingSelect,
+    perClass: samplesPerClassBox,
+    probability: probabilityCheckbox,
+    cutoff: probabilityCutoffSlider,
+    terrain: terrainModeSelect,
+    slope: slopeSlider,
+    hand: handSlider,
+    patch: connectivitySlider,
+    jrc: jrcCheckbox,
+    jrcOccurrence: jrcOccurrenceSlider,
+    jrcSeasonality: jrcSeasonalitySlider,
+    impact: impactCheckbox,
+    zonal: zonalCheckbox,
+    depth: depthCheckbox,
+    timeSeries: timeSeriesCheckbox,
+    timeSeriesStep: timeSeriesStepSelect,
+    timeSeriesDays: timeSeriesDaysBox,
+    rainfall: rainfallCheckbox,
+    rainfallSource: rainfallSourceSelect
+  };
+}
+
+/**
+ * Reads the current settings as a flat object of strings, numbers and
+ * booleans (without the AOI).
+ */
+function getSettings() {
+  var widgets = getSettingWidgets();
+  var settings = {};
+  for (var key in widgets) {
+    var value = widgets[key].getValue();
+    if (value !== null && value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  settings.features = CONFIG.FEATURES.filter(function(feature) {
+    return featureCheckboxes[feature.name].getValue();
+  }).map(function(feature) {
+    return feature.name;
+  }).join(',');
+  settings.floodClasses = getFloodClasses().join(',');
+  return settings;
+}
+
+/**
+ * Sets a widget from a stored setting, converting URL strings back to the
+ * widget's type. Select values that are not among its items are ignored,
+ * except for the class column and acquisition date, whose items are only
+ * known after fetching.
+ */
+function setWidgetValue(widget, value) {
+  if (widget instanceof ui.Checkbox) {
+    widget.setValue(value === true || value === 'true');
+  } else if (widget instanceof ui.Slider) {
+    widget.setValue(Number(value));
+  } else if (widget instanceof ui.Select) {
+    var values = widget.items().getJsArray().map(function(item) {
+      return typeof item === 'object' ? item.value : item;
+    });
+    if (values.indexOf(value) === -1) {
+      if (widget !== columnSelectDropdown && widget !== acquisitionSelect) {
+        return;
+      }
+      widget.items().add(value);
+      widget.setDisabled(false);
+    }
+    widget.setValue(value);
+  } else {
+    widget.setValue(String(value));
+  }
+}
+
+/**
+ * Applies a settings object (as produced by getSettings, optionally with an
+ * 'aoi' GeoJSON object or string) to the control panel.
+ */
+function applySettings(settings) {
+  var widgets = getSettingWidgets();
+  for (var key in settings) {
+    if (widgets[key]) {
+      setWidgetValue(widgets[key], settings[key]);
+    }
+  }
+  if (settings.features !== undefined) {
+    var names = String(settings.features).split(',');
+    CONFIG.FEATURES.forEach(function(feature) {
+      featureCheckboxes[feature.name].setValue(names.indexOf(feature.name) !== -1);
+    });
+  }
+  if (settings.floodClasses !== undefined) {
+    var floodClasses = String(settings.floodClasses).split(',');
+    CONFIG.CLASSES.forEach(function(entry) {
+      floodClassCheckboxes[entry.value].setValue(floodClasses.indexOf(String(entry.value)) !== -1);
+    });
+  }
+  if (settings.aoi) {
+    var geojson = typeof settings.aoi === 'string' ? JSON.parse(settings.aoi) : settings.aoi;
+    var geometryLayer = drawingTools.layers().get(0);
+    geometryLayer.geometries().reset();
+    geometryLayer.geometries().add(ee.Geometry(geojson));
+    map.centerObject(ee.Geometry(geojson), 12);
+  }
+}
+
+/**
+ * Returns the AOI as GeoJSON rounded to 6 decimals, or null when none is
+ * drawn. With 'forUrl', AOIs longer than CONFIG.MAX_URL_AOI_LENGTH are
+ * replaced by their bounding box and returned as a string.
+ */
+function getAoiGeoJson(forUrl) {
+  var geometries = drawingTools.layers().get(0).geometries();
+  if (geometries.length() === 0) {
+    return null;
+  }
+  var geojson = ee.Geometry(geometries.get(0)).toGeoJSON();
+  var text = JSON.stringify(geojson, function(key, value) {
+    return typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value;
+  });
+  if (!forUrl) {
+    return JSON.parse(text);
+  }
+  if (text.length > CONFIG.MAX_URL_AOI_LENGTH) {
+    var points = JSON.parse(text).coordinates.toString().split(',').map(Number);
+    var lons = points.filter(function(value, i) {
+      return i % 2 === 0;
+    });
+    var lats = points.filter(function(value, i) {
+      return i % 2 === 1;
+    });
+    text = JSON.stringify(ee.Geometry.Rectangle([
+      Math.min.apply(null, lons), Math.min.apply(null, lats),
+      Math.max.apply(null, lons), Math.max.apply(null, lats)
+    ]).toGeoJSON());
+  }
+  return text;
+}
+
+/**
+ * Stores the current settings and AOI in the app URL (ui.url), so the
+ * address can be shared to restore them.
+ */
+function writeSettingsToUrl() {
+  var settings = getSettings();
+  for (var key in settings) {
+    ui.url.set(key, settings[key]);
+  }
+  var aoi = getAoiGeoJson(true);
+  if (aoi) {
+    ui.url.set('aoi', aoi);
+  }
+  ui.url.set('run', autoRunCheckbox.getValue());
+}
+
+/**
+ * Restores the settings stored in the app URL, if any, and runs the
+ * analysis when the link asks for it and holds an AOI.
+ */
+function restoreSettingsFromUrl() {
+  var keys = Object.keys(getSettingWidgets()).concat(['features', 'floodClasses', 'aoi']);
+  var settings = {};
+  var found = false;
+  keys.forEach(function(key) {
+    var value = ui.url.get(key);
+    if (value !== undefined && value !== null && value !== '') {
+      settings[key] = value;
+      found = true;
+    }
+  });
+  if (!found) {
+    return;
+  }
+  try {
+    applySettings(settings);
+  } catch (e) {
+    handleError('Could not restore the settings in the link: ' + e);
+    return;
+  }
+  var autoRun = ui.url.get('run');
+  autoRunCheckbox.setValue(autoRun === true || autoRun === 'true');
+  if (autoRunCheckbox.getValue() && settings.aoi) {
+    runAnalysis();
+  } else {
+    statusLabel.setValue('Status: Settings restored from the link.').style().set('color', 'blue');
+  }
+}
+
+/**
+ * Applies a named preset on top of the default settings. The AOI is kept.
+ */
+function applyPreset(name) {
+  SETTINGS_PRESETS.forEach(function(preset) {
+    if (preset.name === name) {
+      var settings = {};
+      var key;
+      for (key in defaultSettings) {
+        settings[key] = defaultSettings[key];
+      }
+      for (key in preset.settings) {
+        settings[key] = preset.settings[key];
+      }
+      applySettings(settings);
+      statusLabel.setValue('Status: Preset "' + name + '" applied.').style().set('color', 'blue');
+    }
+  });
+}
+
+/**
+ * Saves the current settings as a named preset for this session.
+ */
+function savePreset() {
+  var name = presetNameBox.getValue();
+  if (!name) {
+    handleError('Enter a name for the preset.');
+    return;
+  }
+  var settings = getSettings();
+  var existing = SETTINGS_PRESETS.filter(function(preset) {
+    return preset.name === name;
+  });
+  if (existing.length) {
+    existing[0].settings = settings;
+  } else {
+    SETTINGS_PRESETS.push({name: name, settings: settings});
+    presetSelect.items().add(name);
+  }
+  statusLabel.setValue('Status: Preset "' + name + '" saved for this session.').style().set('color', 'blue');
+}
+
+/**
+ * Applies the settings JSON pasted into the settings box.
+ */
+function importSettingsJson() {
+  var settings;
+  try {
+    settings = JSON.parse(settingsJsonBox.getValue());
+    applySettings(settings);
+  } catch (e) {
+    handleError('Could not read the settings JSON: ' + e);
+    return;
+  }
+  statusLabel.setValue('Status: Settings imported.').style().set('color', 'blue');
+}
+
+/**
+ * Parses an optional numeric textbox value; blank or invalid input is null.
+ */
+function parseOptionalNumber(value) {
+  var number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Reads the parameters of the given classifier type from its panel.
+ */
+function getClassifierParams(type) {
+  if (type === 'GTB') {
+    return {
+      numberOfTrees: parseOptionalNumber(gtbTreesBox.getValue()) || CONFIG.DEFAULT_GTB_TREES,
+      shrinkage: parseOptionalNumber(gtbShrinkageBox.getValue()),
+      samplingRate: parseOptionalNumber(gtbSamplingRateBox.getValue())
+    };
+  }
+  if (type === 'SVM') {
+    return {
+      kernelType: svmKernelSelect.getValue(),
+      gamma: parseOptionalNumber(svmGammaBox.getValue()),
+      cost: parseOptionalNumber(svmCostBox.getValue())
+    };
+  }
+  if (type === 'CART') {
+    return {
+      maxNodes: parseOptionalNumber(cartMaxNodesBox.getValue()),
+      minLeafPopulation: parseOptionalNumber(cartMinLeafBox.getValue())
+    };
+  }
+  return {
+    numberOfTrees: parseOptionalNumber(rfTreesBox.getValue()) || CONFIG.DEFAULT_RF_TREES,
+    variablesPerSplit: parseOptionalNumber(rfVariablesBox.getValue()),
+    minLeafPopulation: parseOptionalNumber(rfMinLeafBox.getValue()),
+    bagFraction: parseOptionalNumber(rfBagFractionBox.getValue())
+  };
+}
+
+/**
+ * Formats classifier parameters as 'key=value' pairs, skipping defaults.
+ */
+function describeClassifierParams(classifierParams) {
+  var parts = [];
+  for (var key in classifierParams) {
+    if (classifierParams[key] !== null) {
+      parts.push(key + '=' + classifierParams[key]);
+    }
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Returns the classifier name followed by its parameters.
+ */
+function describeClassifier(type, classifierParams) {
+  var label = type;
+  CONFIG.CLASSIFIER_OPTIONS.forEach(function(option) {
+    if (option.value === type) {
+      label = option.label;
+    }
+  });
+  return label + ' (' + describeClassifierParams(classifierParams) + ')';
+}
+
+/**
+ * Describes the validation strategy for the results panel.
+ */
+function describeValidation(params) {
+  if (params.validation === CONFIG.VALIDATION_KFOLD) {
+    return params.folds + '-fold cross-validation (seed ' + params.seed + ')';
+  }
+  if (params.validation === CONFIG.VALIDATION_SPATIAL) {
+    return params.folds + '-fold spatial block cross-validation, ' + params.blockSize +
+      ' m blocks (seed ' + params.seed + ')';
+  }
+  return 'Random split, ' + Math.round(params.trainingSplit * 100) + '% training (seed ' + params.seed + ')';
+}
+
+/**
+ * Main function to orchestrate the analysis workflow.
+ */
+function runAnalysis() {
+  var aoi = drawingTools.layers().get(0).getEeObject();
+  
+  if (!aoi) {
+    handleError('Please draw an Area of Interest (AOI) first.');
+    return;
+  }
+
+  runButton.setDisabled(true);
+  statusLabel.setValue('Status: Processing...').style().set('color', 'orange');
+  resultsPanel.clear();
+  lastRun = null;
+  exportPanel.style().set('shown', false);
+  exportLinksPanel.clear();
+  legendPanel.clear();
+  areaPanelLabel.setValue('Flooded Area: Processing...');
+  runningAoi = aoi;
+  
+  writeSettingsToUrl();
+  var params = getRunParameters();
+  var startDate = ee.Date(params.startDate);
+  var endDate = ee.Date(params.endDate);
+  var preStartDate = ee.Date(params.preStartDate);
+  var preEndDate = ee.Date(params.preEndDate);
+  var unsupervised = params.method === CONFIG.METHOD_OTSU;
+
+  var compositingMethod = params.compositing.method;
+  if ((compositingMethod === CONFIG.COMPOSITE_SINGLE || compositingMethod === CONFIG.COMPOSITE_CLOSEST) &&
+      !isDateString(params.compositing.date)) {
+    handleError(compositingMethod === CONFIG.COMPOSITE_SINGLE ?
+      'Please list the scene dates and choose an acquisition.' : 'Please enter an event date (YYYY-MM-DD).');
+    return;
+  }
+  // A single acquisition narrows the event window to that day
+  if (compositingMethod === CONFIG.COMPOSITE_SINGLE) {
+    startDate = ee.Date(params.compositing.date);
+    endDate = startDate.advance(1, 'day');
+  }
+
+  var usesAsset = params.trainingSource !== CONFIG.TRAINING_DIGITIZED;
+  var usesDigitized = params.trainingSource !== CONFIG.TRAINING_ASSET;
+  if (!unsupervised && usesAsset && (!params.trainingAssetId || !params.classColumn)) {
+    handleError('Please provide a Training Asset and select a Class Column.');
+    return;
+  }
+  if (!unsupervised && usesDigitized &&
+      (floodPointsLayer.geometries().length() === 0 || nonFloodPointsLayer.geometries().length() === 0)) {
+    handleError('Please digitize both flood and non-flood training data.');
+    return;
+  }
+  if (!unsupervised && !usesAsset) {
+    params.classColumn = CONFIG.DIGITIZED_CLASS_COLUMN;
+  }
+  if (!unsupervised && params.floodClasses.length === 0) {
+    handleError('Please tick at least one flooded class.');
+    return;
+  }
+  if (!unsupervised && params.probabilityMode && params.classifier === 'SVM') {
+    handleError('Probability output is not available for the SVM classifier.');
+    return;
+  }
+  
+  map.centerObject(aoi, 11);
+  
+  var empty = ee.Image().byte();
+  var aoiOutline = empty.paint({
+    featureCollection: ee.FeatureCollection(aoi),
+    color: 1,
+    width: 3
+  });
+  map.addLayer(aoiOutline, {palette: 'FF0000'}, 'Area of Interest');
+  
+  drawingTools.layers().get(0).geometries().reset();
+
+  statusLabel.setValue('Status: Processing satellite data...');
+  var s1_image = processS1_ARD(startDate, endDate, aoi, params.orbitPass, params.s1Options, params.compositing);
+  var s2_image = processS2_ARD(startDate, endDate, aoi, params.cloudMask, params.compositing);
+  var s1col = getS1Collection(startDate, endDate, aoi, params.orbitPass);
+  var s2col = getS2Collection(startDate, endDate, aoi, params.cloudMask);
+
+  var bandCounts = ee.Dictionary({
+    s1: s1col.size(),
+    s2: s2col.size(),
+    s2Coverage: getValidFraction(s2col, s2_image, 'B4', aoi),
+    s1Scenes: summarizeS1Scenes(s1col)
+  });
+
+  var s1_pre, s2_pre;
+  if (params.changeMode) {
+    // The reference window is always a median; the chosen method applies to the event
+    var preCompositing = {method: CONFIG.COMPOSITE_MEDIAN};
+    s1_pre = processS1_ARD(preStartDate, preEndDate, aoi, params.orbitPass, params.s1Options, preCompositing);
+    s2_pre = processS2_ARD(preStartDate, preEndDate, aoi, params.cloudMask, preCompositing);
+    var s2colPre = getS2Collection(preStartDate, preEndDate, aoi, params.cloudMask);
+    bandCounts = bandCounts
+      .set('s1Pre', getS1Collection(preStartDate, preEndDate, aoi, params.orbitPass).size())
+      .set('s2Pre', s2colPre.size())
+      .set('s2CoveragePre', getValidFraction(s2colPre, s2_pre, 'B4', aoi));
+  }
+
+  bandCounts.evaluate(function(counts, error) {
+    if (error) {
+      handleError('Could not verify input data: ' + error);
+      return;
+    }
+
+    var sensorMode = resolveSensorMode(params.sensors, counts, params.changeMode);
+    if (!sensorMode) {
+      var period = params.changeMode ? ' for the event and pre-event reference periods' : ' for the criteria';
+      var needed = params.sensors === CONFIG.SENSOR_AUTO ? 'Sentinel-1 or Sentinel-2' :
+        params.sensors === CONFIG.SENSOR_S1 ? 'Sentinel-1' :
+        params.sensors === CONFIG.SENSOR_S2 ? 'Sentinel-2' : 'both Sentinel-1 and Sentinel-2';
+      handleError('No ' + needed + ' images found' + period + '.');
+      return;
+    }
+    statusLabel.setValue('Status: Sensor mode: ' + sensorMode + '. S2 cloud-free coverage ' +
+      (counts.s2Coverage * 100).toFixed(0) + '%.');
+
+    var features = unsupervised ? [] : getUsableFeatures(params.features, sensorMode);
+
+    // Everything the later stages need, shared by both classification methods
+    var ctx = {
+      aoi: aoi,
+      params: params,
+      counts: counts,
+      sensorMode: sensorMode,
+      features: features,
+      // Otsu thresholds map water as class 1 only
+      floodClasses: unsupervised ? [1] : params.floodClasses,
+      s1_image: s1_image,
+      s2_image: s2_image,
+      stackedImage: addDerivedFeatures(buildStack(s1_image, s2_image, sensorMode), features),
+      preStackedImage: params.changeMode ?
+        addDerivedFeatures(buildStack(s1_pre, s2_pre, sensorMode), features) : null,
+      runInfo: {
+        method: params.method,
+        sensorMode: sensorMode,
+        cloudMask: params.cloudMask.method === CONFIG.CLOUD_MASK_S2CLOUDLESS ?
+          params.cloudMask.method + ' (' + params.cloudMask.probability + '%)' : params.cloudMask.method,
+        compositing: describeCompositing(params.compositing),
+        s1Preprocessing: params.s1Options.speckleFilter + ' speckle filter' +
+          (params.s1Options.terrainFlattening ? ', terrain flattening' : ''),
+        features: unsupervised ? [] : getStackBandNames(sensorMode, features),
+        s2Coverage: counts.s2Coverage,
+        s1Scenes: counts.s1Scenes
+      }
+    };
+
+    if (unsupervised) {
+      runOtsuClassification(ctx);
+    } else {
+      runSupervised(ctx);
+    }
+  });
+}
+
+/**
+ * Trains the selected classifier on the training asset, optionally tuning its
+ * parameters by grid search first, and hands it on to finishAnalysis.
+ */
+function runSupervised(ctx) {
+  var params = ctx.params;
+  var stackedImage = ctx.stackedImage;
+  var classColumn = params.classColumn;
+  var inputProperties = stackedImage.bandNames();
+  var spatialFolds = params.validation === CONFIG.VALIDATION_SPATIAL;
+
+  statusLabel.setValue('Status: Loading training data...');
+  var trainingDataRaw;
+  if (params.trainingSource !== CONFIG.TRAINING_DIGITIZED) {
+    try {
+      trainingDataRaw = ee.FeatureCollection(params.trainingAssetId);
+    } catch (e) {
+      handleError('Could not load training data. Check Asset ID.');
+      return;
+    }
+  }
+  if (params.trainingSource !== CONFIG.TRAINING_ASSET) {
+    var digitized = getDigitizedTraining(classColumn);
+    trainingDataRaw = trainingDataRaw ? trainingDataRaw.merge(digitized) : digitized;
+  }
+  ctx.runInfo.trainingSource = params.trainingSource;
+
+  statusLabel.setValue('Status: Sampling training data...');
+  var allSampledPoints = stackedImage.sampleRegions({
+    collection: trainingDataRaw,
+    properties: [classColumn],
+    scale: 10,
+    tileScale: 8,
+    geometries: spatialFolds
+  });
+
+  var diagnostics = ee.Dictionary({
+    rawTotal: trainingDataRaw.size(),
+    insideAoi: trainingDataRaw.filterBounds(ctx.aoi).size(),
+    rawCounts: trainingDataRaw.aggregate_histogram(classColumn),
+    sampledTotal: allSampledPoints.size(),
+    sampledCounts: allSampledPoints.aggregate_histogram(classColumn),
+    labelTypes: ee.List(trainingDataRaw.aggregate_array(classColumn)).map(function(label) {
+      return ee.Algorithms.ObjectType(label);
+    }).distinct()
+  });
+
+  diagnostics.evaluate(function(diag, error) {
+    if (error || diag.sampledTotal === 0) {
+      handleError('No valid training data found. Points may be in cloudy areas or outside image extent.');
+      return;
+    }
+    ctx.runInfo.diagnostics = diag;
+    // Classifiers need numeric class labels; text labels fail server-side
+    if (diag.labelTypes.indexOf('String') !== -1) {
+      handleError('The class column "' + classColumn + '" holds text labels. Use integer labels ' +
+        '(0 = non-flood, 1 = flood, further classes as in CONFIG.CLASSES).');
+      return;
+    }
+    if (Object.keys(diag.sampledCounts).length < 2) {
+      resultsPanel.clear();
+      addTrainingDiagnostics(diag);
+      handleError('Training samples contain only one class after sampling. Add samples of the missing class.');
+      return;
+    }
+
+    ctx.runInfo.classes = Object.keys(diag.sampledCounts).map(Number).sort(function(a, b) {
+      return a - b;
+    });
+    ctx.floodClasses = params.floodClasses.filter(function(value) {
+      return ctx.runInfo.classes.indexOf(value) !== -1;
+    });
+    if (ctx.floodClasses.length === 0) {
+      resultsPanel.clear();
+      addTrainingDiagnostics(diag);
+      handleError('None of the flooded classes (' + params.floodClasses.join(', ') +
+        ') occurs in the training samples.');
+      return;
+    }
+    ctx.runInfo.floodClasses = ctx.floodClasses;
+    if (params.probabilityMode && (ctx.runInfo.classes.length > 2 || ctx.floodClasses.join(',') !== '1')) {
+      handleError('Probability output needs binary labels with class 1 as the flooded class.');
+      return;
+    }
+
+    var samples = balanceSamples(allSampledPoints, classColumn, diag.sampledCounts, params);
+    ctx.runInfo.balancing = params.balancing;
+    
+    // Fixed class order so matrices from different folds line up
+    var classOrder = samples.aggregate_array(classColumn).distinct().sort();
+    var cutoff = params.probabilityMode ? params.probabilityCutoff : null;
+    var k = params.folds;
+
+    var sampledWithRandom = samples.randomColumn('random', params.seed);
+    var trainingSet = sampledWithRandom.filter(ee.Filter.lt('random', params.trainingSplit));
+    var validationSet = sampledWithRandom.filter(ee.Filter.gte('random', params.trainingSplit));
+    var withFolds = null;
+    if (params.validation === CONFIG.VALIDATION_KFOLD) {
+      withFolds = sampledWithRandom.map(function(feature) {
+        return feature.set('fold', ee.Number(feature.get('random')).multiply(k).floor());
+      });
+    } else if (spatialFolds) {
+      withFolds = assignSpatialFolds(samples, params.blockSize, k, params.seed);
+    }
+    ctx.runInfo.validation = describeValidation(params);
+
+    // Under cross-validation, parameters are tuned on a held-out share of the
+    // samples that the folds never score, so the CV accuracy stays unbiased
+    var tuningSet = trainingSet;
+    if (withFolds && params.gridSearch) {
+      var withHoldout = withFolds.randomColumn('holdout', params.seed + 1);
+      tuningSet = withHoldout.filter(ee.Filter.lt('holdout', CONFIG.GRID_HOLDOUT_FRACTION));
+      withFolds = withHoldout.filter(ee.Filter.gte('holdout', CONFIG.GRID_HOLDOUT_FRACTION));
+    }
+
+    var trainAndFinish = function(classifierParams) {
+      statusLabel.setValue('Status: Training classifier...');
+      var train = function(features) {
+        return buildClassifier(params.classifier, classifierParams)
+          .train({
+            features: features,
+            classProperty: classColumn,
+            inputProperties: inputProperties
+          });
+      };
+
+      ctx.runInfo.classifier = describeClassifier(params.classifier, classifierParams);
+
+      var assessment;
+      if (withFolds) {
+        // Cross-validation: score each fold with a classifier trained on the
+        // others, then map with a classifier trained on every sample.
+        statusLabel.setValue('Status: Cross-validating (' + k + ' folds)...');
+        var foldMatrices = [];
+        for (var fold = 0; fold < k; fold++) {
+          var foldClassifier = train(withFolds.filter(ee.Filter.neq('fold', fold)));
+          foldMatrices.push(assessClassifier(foldClassifier,
+            withFolds.filter(ee.Filter.eq('fold', fold)), classColumn, classOrder, cutoff));
+        }
+        var pooled = foldMatrices.reduce(function(sum, matrix) {
+          return sum.add(matrix.array());
+        }, ee.Array(foldMatrices[0].array()).multiply(0));
+        assessment = {
+          confusionMatrix: ee.ConfusionMatrix(pooled, classOrder),
+          classifier: train(samples),
+          folds: ee.List(foldMatrices.map(function(matrix) {
+            return ee.Dictionary({
+              accuracy: matrix.accuracy(),
+              kappa: matrix.kappa()
+            });
+          }))
+        };
+      } else {
+        var splitClassifier = train(trainingSet);
+        assessment = {
+          confusionMatrix: assessClassifier(splitClassifier, validationSet, classColumn, classOrder, cutoff),
+          classifier: splitClassifier
+        };
+      }
+
+      var classifier = assessment.classifier;
+      var classify = function(image) {
+        return image.classify(classifier);
+      };
+
+      // In probability mode the flood probability (the RF vote fraction for
+      // class 1) is thresholded at the cutoff, for the map and validation alike.
+      if (params.probabilityMode) {
+        var probabilityClassifier = classifier.setOutputMode('PROBABILITY');
+        ctx.probability = function(image) {
+          return image.classify(probabilityClassifier, 'probability');
+        };
+        classify = function(image) {
+          return ctx.probability(image).gte(cutoff).rename('classification');
+        };
+        ctx.runInfo.probabilityCutoff = cutoff;
+      }
+
+      finishAnalysis(ctx, classify, assessment);
+    };
+
+    var startTraining = function() {
+      if (!params.gridSearch) {
+        trainAndFinish(params.classifierParams);
+        return;
+      }
+
+      statusLabel.setValue('Status: Grid search over classifier parameters...');
+      var candidates = expandGrid(params.classifierParams, CONFIG.GRID_SEARCH[params.classifier]);
+      gridSearchAccuracies(params.classifier, candidates, tuningSet, classColumn, inputProperties)
+        .evaluate(function(accuracies, error) {
+          if (error) {
+            handleError('Grid search failed: ' + error);
+            return;
+          }
+          var best = 0;
+          accuracies.forEach(function(accuracy, i) {
+            if (accuracy > accuracies[best]) {
+              best = i;
+            }
+          });
+          ctx.runInfo.gridSearch = candidates.map(function(candidate, i) {
+            return {
+              label: describeClassifierParams(candidate),
+              accuracy: accuracies[i]
+            };
+          });
+          trainAndFinish(candidates[best]);
+        });
+    };
+
+    if (!spatialFolds) {
+      startTraining();
+      return;
+    }
+    // Every spatial fold needs at least one block of samples
+    withFolds.aggregate_count_distinct('cell').evaluate(function(cellCount, error) {
+      if (error) {
+        handleError('Could not assign spatial folds: ' + error);
+        return;
+      }
+      if (cellCount < k) {
+        handleError('Samples fall in only ' + cellCount + ' blocks of ' + params.blockSize +
+          ' m, fewer than the ' + k + ' folds. Use a smaller block size or fewer folds.');
+        return;
+      }
+      startTraining();
+    });
+  });
+}
+
+/**
+ * Maps water without training data by splitting the AOI histogram of each
+ * water-sensitive band with Otsu's method, then hands on to finishAnalysis.
+ */
+function runOtsuClassification(ctx) {
+  statusLabel.setValue('Status: Computing Otsu thresholds...');
+  var indices = getOtsuInputs(ctx.stackedImage, ctx.sensorMode);
+  var histograms = indices.reduceRegion({
+    reducer: ee.Reducer.histogram(CONFIG.OTSU_HISTOGRAM_BUCKETS),
+    geometry: ctx.aoi,
+    scale: 30,
+    maxPixels: 1e13,
+    tileScale: 4
+  });
+  var bandNames = indices.bandNames();
+  var otsuResult = ee.Dictionary({
+    histograms: histograms,
+    thresholds: ee.Dictionary.fromLists(bandNames, bandNames.map(function(band) {
+      return otsuThreshold(histograms.get(band));
+    }))
+  });
+
+  otsuResult.evaluate(function(result, error) {
+    if (error) {
+      handleError('Could not compute Otsu thresholds: ' + error);
+      return;
+    }
+    ctx.runInfo.histograms = result.histograms;
+    ctx.runInfo.thresholds = result.thresholds;
+
+    finishAnalysis(ctx, function(image) {
+      return classifyByThresholds(getOtsuInputs(image, ctx.sensorMode), result.thresholds);
+    }, null);
+  });
+}
+
+/**
+ * Post-processes the classification, adds the result layers and shows the
+ * results. 'classify' maps a stack to a 'classification' band of class
+ * values, of which ctx.floodClasses count as flood; 'assessment' holds the
+ * validation confusion matrix and trained classifier, and is null when there
+ * is no training data.
+ */
+function finishAnalysis(ctx, classify, assessment) {
+  var params = ctx.params;
+  var aoi = ctx.aoi;
+
+  statusLabel.setValue('Status: Classifying image...');
+  var classified = classify(ctx.stackedImage);
+
+  var terrainMasks = buildTerrainMasks(params.terrainMode, params.slopeThreshold, params.handThreshold);
+
+  var postProcessing = {
+    floodClasses: ctx.floodClasses,
+    terrainMask: terrainMasks.combined,
+    connectivityThreshold: params.connectivityThreshold,
+    permanentWater: null
+  };
+
+  // Extra masks shown on the map and reported by area in displayResults
+  var overlays = {};
+  if (params.maskPermanentWater) {
+    overlays.permanentWater = getPermanentWaterMask(
+      params.jrcOccurrenceThreshold, params.jrcSeasonalityThreshold).clip(aoi);
+    postProcessing.permanentWater = overlays.permanentWater;
+  }
+
+  var finalClassification = applyPostProcessing(classified, postProcessing);
+  var floodPixels = getFloodPixels(finalClassification, ctx.floodClasses);
+  overlays.removals = getFilterRemovals(classified, postProcessing, terrainMasks);
+  
+  // In change-detection mode the same classifier is applied to the
+  // reference stack, and only newly inundated pixels count as flood.
+  var preWater = null;
+  if (params.changeMode) {
+    var preClassification = applyPostProcessing(
+      classify(ctx.preStackedImage), postProcessing);
+    overlays.preWater = getFloodPixels(preClassification, ctx.floodClasses);
+    overlays.postWater = floodPixels;
+    preWater = overlays.preWater.unmask(0);
+    floodPixels = floodPixels.and(preWater.not());
+  }
+
+  // Multi-class runs also report the area of every class
+  var classes = ctx.runInfo.classes || [];
+  if (classes.length > 2) {
+    overlays.classes = finalClassification;
+  }
+
+  var floodLayer = floodPixels.selfMask();
+
+  var probability = null;
+  if (ctx.probability) {
+    probability = ctx.probability(ctx.stackedImage).updateMask(terrainMasks.combined);
+    overlays.confidenceBands = {};
+    CONFIG.CONFIDENCE_BANDS.forEach(function(band) {
+      overlays.confidenceBands[band.label] = floodPixels
+        .and(probability.gte(band.min))
+        .and(probability.lt(band.max));
+    });
+  }
+  
+  // Add result layers to map
+  if (ctx.counts.s2 > 0) {
+    map.addLayer(ctx.s2_image, CONFIG.VIS_S2_RGB, 'Sentinel-2 RGB', false);
+  }
+  if (ctx.counts.s1 > 0) {
+    map.addLayer(ctx.s1_image.select(CONFIG.S1_BANDS), CONFIG.VIS_S1_FALSE_COLOR, 'Sentinel-1 False Color', false);
+  }
+
+  // Acquisition date of each composited pixel in days since the window start,
+  // for the Inspector
+  var dateOrigin = params.compositing.method === CONFIG.COMPOSITE_SINGLE ?
+    params.compositing.date : params.startDate;
+  var dateVis = {
+    min: 0,
+    max: Math.max(1, Math.round((Date.parse(params.endDate) - Date.parse(dateOrigin)) / 86400000)),
+    palette: CONFIG.VIS_ACQUISITION_DATE.palette
+  };
+  var dateLabel = (params.compositing.method === CONFIG.COMPOSITE_MEDIAN ?
+    'Latest Acquisition Date' : 'Acquisition Date') + ' (days since ' + dateOrigin + ')';
+  if (ctx.counts.s1 > 0 && ctx.sensorMode !== CONFIG.SENSOR_S2) {
+    map.addLayer(ctx.s1_image.select('S1_date'), dateVis, 'Sentinel-1 ' + dateLabel, false);
+  }
+  if (ctx.counts.s2 > 0 && ctx.sensorMode !== CONFIG.SENSOR_S1) {
+    map.addLayer(ctx.s2_image.select('S2_date'), dateVis, 'Sentinel-2 ' + dateLabel, false);
+  }
+  
+  var legendInfo = {};
+  if (overlays.classes) {
+    var classInfo = classes.map(getClassInfo);
+    map.addLayer(finalClassification.remap(classes, ee.List.sequence(0, classes.length - 1)), {
+      min: 0,
+      max: classes.length - 1,
+      palette: classInfo.map(function(entry) {
+        return entry.color;
+      })
+    }, 'Classes');
+    classInfo.forEach(function(entry) {
+      legendInfo[entry.name] = entry.color;
+    });
+  }
+  if (probability) {
+    map.addLayer(probability, CONFIG.VIS_PROBABILITY, 'Flood Probability', false);
+    addLegendEntries(legendInfo, CONFIG.LEGEND_INFO_PROBABILITY);
+  }
+  if (overlays.permanentWater) {
+    map.addLayer(overlays.permanentWater.selfMask(), CONFIG.VIS_PERMANENT_WATER, 'Permanent Water (JRC)');
+    addLegendEntries(legendInfo, CONFIG.LEGEND_INFO_PERMANENT);
+  }
+  if (params.changeMode) {
+    map.addLayer(overlays.preWater.selfMask(), CONFIG.VIS_PRE_WATER, 'Pre-event Water');
+    map.addLayer(overlays.postWater.selfMask(), CONFIG.VIS_POST_WATER, 'Post-event Water', false);
+    map.addLayer(floodLayer, CONFIG.VIS_CLASSIFICATION, 'New Flood');
+    addLegendEntries(legendInfo, CONFIG.LEGEND_INFO_CHANGE);
+  } else {
+    map.addLayer(floodLayer, CONFIG.VIS_CLASSIFICATION, 'Flooded Area');
+    addLegendEntries(legendInfo, CONFIG.LEGEND_INFO);
+  }
+  buildLegend('Legend', legendInfo);
+
+  var floodMask = floodPixels.unmask(0).clip(aoi).toByte().rename('flood');
+  var depthEstimate = params.floodDepth ? estimateFloodDepth(floodMask, aoi) : null;
+  lastRun = {
+    aoi: aoi,
+    floodMask: floodMask,
+    probability: probability ? probability.toFloat().rename('flood_probability') : null,
+    depth: depthEstimate ? depthEstimate.depth.toFloat() : null,
+    depthExtent: depthEstimate ? depthEstimate.flood : null,
+    params: params,
+    runInfo: ctx.runInfo,
+    summary: {},
+    legendInfo: legendInfo,
+    // Maps any stack built like ctx.stackedImage to the final 0/1 flood mask,
+    // with the same post-processing (used by the time series)
+    mapFlood: function(stack) {
+      var flood = getFloodPixels(applyPostProcessing(classify(stack), postProcessing), ctx.floodClasses);
+      return preWater ? flood.and(preWater.not()) : flood;
+    },
+    buildStack: function(s1_image, s2_image) {
+      return addDerivedFeatures(buildStack(s1_image, s2_image, ctx.sensorMode), ctx.features);
+    }
+  };
+
+  displayResults(assessment, aoi, floodPixels, overlays, ctx.runInfo);
+}
+
+/**
+ * Displays final results and accuracy metrics.
+ * 'assessment' is {confusionMatrix, classifier}, or null for unsupervised runs.
+ * 'floodPixels' is the final 0/1 flood mask.
+ * 'overlays' holds optional masks reported by area: pre/post-event water in
+ * change-detection mode, JRC permanent water when that mask is enabled,
+ * the flood pixels removed by each post-processing filter and, for
+ * multi-class runs, the class map.
+ * 'runInfo' holds client-side details of the inputs, such as the S1 scenes used.
+ */
+function displayResults(assessment, aoi, floodPixels, overlays, runInfo) {
+  
+  resultsPanel.clear();
+  resultsPanel.add(ui.Label({
+    value: 'Analysis Results',
+    style: { fontWeight: 'bold', fontSize: '16px' }
+  }));
+  resultsPanel.add(ui.Label('Method: ' + runInfo.method, { fontWeight: 'bold' }));
+  if (runInfo.classifier) {
+    resultsPanel.add(ui.Label('Classifier: ' + runInfo.classifier, { fontSize: '12px' }));
+    resultsPanel.add(ui.Label('Training Source: ' + runInfo.trainingSource, { fontSize: '12px' }));
+    resultsPanel.add(ui.Label('Validation: ' + runInfo.validation, { fontSize: '12px' }));
+    resultsPanel.add(ui.Label('Class Balancing: ' + runInfo.balancing, { fontSize: '12px' }));
+    addTrainingDiagnostics(runInfo.diagnostics);
+  }
+  resultsPanel.add(ui.Label('Sensor Mode: ' + runInfo.sensorMode, { fontWeight: 'bold' }));
+  resultsPanel.add(ui.Label('Compositing: ' + runInfo.compositing, { fontSize: '12px' }));
+  resultsPanel.add(ui.Label('Sentinel-2 Cloud Mask: ' + runInfo.cloudMask, { fontSize: '12px' }));
+  resultsPanel.add(ui.Label('Sentinel-2 Cloud-free Coverage of AOI: ' + (runInfo.s2Coverage * 100).toFixed(1) + '%'));
+  if (runInfo.features.length) {
+    resultsPanel.add(ui.Label('Classifier Features: ' + runInfo.features.join(', '), { fontSize: '12px' }));
+  }
+  if (runInfo.sensorMode !== CONFIG.SENSOR_S2) {
+    resultsPanel.add(ui.Label('Sentinel-1 Preprocessing: ' + runInfo.s1Preprocessing, { fontSize: '12px' }));
+  }
+  addS1SceneSummary(runInfo.s1Scenes);
+  
+  statusLabel.setValue('Status: Calculating area...').style().set('color', 'orange');
+  
+  var floodAreaImage = floodPixels.multiply(ee.Image.pixelArea());
+  var areaMetrics = ee.Dictionary({
+      floodArea: floodAreaImage.reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: aoi,
+      scale: 10,
+      maxPixels: 1e13,
+      tileScale: 4
+    }).get('classification'),
+    aoiArea: aoi.area({'maxError': 1})
+  });
+  if (overlays.preWater) {
+    areaMetrics = areaMetrics
+      .set('preWaterArea', sumMaskArea(overlays.preWater, aoi))
+      .set('postWaterArea', sumMaskArea(overlays.postWater, aoi));
   }
-});
-var statusLabel = ui.Label({
-  value: 'Status: Ready.',
-  style: {
-    margin: '8px 0',
-    color: 'gray'
+  if (overlays.permanentWater) {
+    areaMetrics = areaMetrics.set('permanentWaterArea', sumMaskArea(overlays.permanentWater, aoi));
   }
-});
-mainPanel.add(runButton);
-mainPanel.add(statusLabel);
-
-// --- Results Panel ---
-var resultsPanel = ui.Panel({
-  style: {
-    padding: '0 8px'
+  var removedAreas = {};
+  for (var filterName in overlays.removals) {
+    removedAreas[filterName] = sumMaskArea(overlays.removals[filterName], aoi);
   }
-});
-mainPanel.add(resultsPanel);
-
-// --- Legend Panel ---
-var legendPanel = ui.Panel({
-  style: {
-    position: 'bottom-left',
-    padding: '8px 15px',
-    backgroundColor: 'rgba(255, 255, 255, 0.8)'
+  areaMetrics = areaMetrics.set('removedAreas', ee.Dictionary(removedAreas));
+  if (overlays.confidenceBands) {
+    var bandAreas = {};
+    for (var bandLabel in overlays.confidenceBands) {
+      bandAreas[bandLabel] = sumMaskArea(overlays.confidenceBands[bandLabel], aoi);
+    }
+    areaMetrics = areaMetrics.set('confidenceAreas', ee.Dictionary(bandAreas));
   }
-});
-
-// --- Area Display Panel ---
-var areaPanelLabel = ui.Label('Flooded Area: N/A', {
-  fontWeight: 'bold',
-  fontSize: '14px',
-  margin: '0',
-});
-var areaPanel = ui.Panel({
-  widgets: [areaPanelLabel],
-  style: {
-    position: 'bottom-right',
-    padding: '8px 15px',
-    backgroundColor: 'rgba(255, 255, 255, 0.8)'
+  if (overlays.classes) {
+    areaMetrics = areaMetrics.set('classAreas', ee.Image.pixelArea().addBands(overlays.classes)
+      .reduceRegion({
+        reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+        geometry: aoi,
+        scale: 10,
+        maxPixels: 1e13,
+        tileScale: 4
+      }).get('groups'));
   }
-});
-map.add(areaPanel);
 
+  areaMetrics.evaluate(function(areaResults, error){
+    if(error){
+      handleError('Could not calculate area. ' + error);
+      return;
+    }
 
-function buildLegend(title, legendInfo) {
-  legendPanel.clear();
-  var legendTitle = ui.Label({
-    value: title,
-    style: {
-      fontWeight: 'bold',
-      fontSize: '18px',
-      margin: '0 0 4px 0',
-      padding: '0'
+    var floodHa = ee.Number(areaResults.floodArea).divide(10000).getInfo();
+    var aoiHa = ee.Number(areaResults.aoiArea).divide(10000).getInfo();
+    lastRun.summary.floodHa = floodHa;
+    lastRun.summary.aoiHa = aoiHa;
+
+    resultsPanel.add(ui.Label('AOI Area: ' + aoiHa.toFixed(2) + ' ha'));
+    if (overlays.preWater) {
+      var preHa = ee.Number(areaResults.preWaterArea).divide(10000).getInfo();
+      var postHa = ee.Number(areaResults.postWaterArea).divide(10000).getInfo();
+      resultsPanel.add(ui.Label('Pre-event Water Area: ' + preHa.toFixed(2) + ' ha'));
+      resultsPanel.add(ui.Label('Post-event Water Area: ' + postHa.toFixed(2) + ' ha'));
+      resultsPanel.add(ui.Label('New Flood Area: ' + floodHa.toFixed(2) + ' ha'));
+    } else {
+      resultsPanel.add(ui.Label('Mapped Flood Area: ' + floodHa.toFixed(2) + ' ha'));
     }
-  });
-  legendPanel.add(legendTitle);
-  for (var key in legendInfo) {
-    var name = key;
-    var color = legendInfo[key];
-    var colorBox = ui.Label({
-      style: {
-        backgroundColor: color,
-        padding: '8px',
-        margin: '0 0 4px 0'
-      }
+    if (overlays.permanentWater) {
+      var permanentHa = ee.Number(areaResults.permanentWaterArea).divide(10000).getInfo();
+      resultsPanel.add(ui.Label('Permanent Water Area (JRC, excluded): ' + permanentHa.toFixed(2) + ' ha'));
+    }
+
+    if (areaResults.classAreas) {
+      addClassAreaTable(areaResults.classAreas, runInfo, aoiHa);
+    }
+
+    resultsPanel.add(ui.Label('Removed by Filters (may overlap)', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+    for (var name in areaResults.removedAreas) {
+      var removedHa = areaResults.removedAreas[name] / 10000;
+      resultsPanel.add(ui.Label(name + ': ' + removedHa.toFixed(2) + ' ha'));
+    }
+    if (areaResults.confidenceAreas) {
+      resultsPanel.add(ui.Label('Flood Area by Confidence (cutoff ' + runInfo.probabilityCutoff + ')',
+        { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+      CONFIG.CONFIDENCE_BANDS.forEach(function(band) {
+        if (band.max > runInfo.probabilityCutoff) {
+          var bandHa = areaResults.confidenceAreas[band.label] / 10000;
+          resultsPanel.add(ui.Label(band.label + ': ' + bandHa.toFixed(2) + ' ha'));
+        }
+      });
+    }
+    areaPanelLabel.setValue('Flooded Area: ' + floodHa.toFixed(2) + ' ha');
+
+    if (lastRun.params.assessImpact) {
+      var impactPanel = ui.Panel();
+      resultsPanel.add(impactPanel);
+      addImpactAssessment(impactPanel, floodPixels.unmask(0), aoi);
+    }
+    if (lastRun.params.zonalStats) {
+      var zonalPanel = ui.Panel();
+      resultsPanel.add(zonalPanel);
+      addZonalStats(zonalPanel, floodPixels.unmask(0), aoi);
+    }
+    if (lastRun.params.floodDepth) {
+      var depthPanel = ui.Panel();
+      resultsPanel.add(depthPanel);
+      addFloodDepth(depthPanel, lastRun);
+    }
+    if (lastRun.params.rainfall) {
+      var rainfallPanel = ui.Panel();
+      resultsPanel.add(rainfallPanel);
+      addRainfallChart(rainfallPanel, lastRun);
+    }
+    if (lastRun.params.timeSeries) {
+      var timeSeriesResultsPanel = ui.Panel();
+      resultsPanel.add(timeSeriesResultsPanel);
+      addTimeSeries(timeSeriesResultsPanel, lastRun);
+    }
+
+    statusLabel.setValue('Status: Finalizing results...').style().set('color', 'orange');
+    
+    if (runInfo.thresholds) {
+      addOtsuHistograms(runInfo.histograms, runInfo.thresholds);
+    }
+    if (runInfo.gridSearch) {
+      addGridSearchChart(runInfo.gridSearch);
+    }
+
+    if (!assessment) {
+      resultsPanel.add(ui.Label('Accuracy Assessment', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+      resultsPanel.add(ui.Label('Not available: no training data was used.', { color: 'gray' }));
+      addDownloadLink(aoi, floodPixels);
+      return;
+    }
+
+    var confusionMatrix = assessment.confusionMatrix;
+    var accuracyMetrics = ee.Dictionary({
+      matrix: confusionMatrix.array(),
+      order: confusionMatrix.order(),
+      accuracy: confusionMatrix.accuracy(),
+      kappa: confusionMatrix.kappa(),
+      producers: confusionMatrix.producersAccuracy(),
+      consumers: confusionMatrix.consumersAccuracy(),
+      fscore: confusionMatrix.fscore(),
+      explanation: assessment.classifier.explain()
     });
-    var description = ui.Label({
-      value: name,
-      style: {
-        margin: '0 0 4px 6px'
+    if (assessment.folds) {
+      accuracyMetrics = accuracyMetrics.set('folds', assessment.folds);
+    }
+
+    accuracyMetrics.evaluate(function(metrics, error) {
+      if (error) {
+        handleError('Could not compute accuracy metrics.');
+        return;
+      }
+      
+      resultsPanel.add(ui.Label('Accuracy Assessment', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+      var hasAccuracy = metrics.accuracy !== null && !isNaN(metrics.accuracy);
+      var hasKappa = metrics.kappa !== null && !isNaN(metrics.kappa);
+      resultsPanel.add(ui.Label('Overall Accuracy: ' +
+        (hasAccuracy ? (metrics.accuracy * 100).toFixed(2) + '%' : 'n/a') +
+        (metrics.folds ? ' (pooled over folds)' : '')));
+      resultsPanel.add(ui.Label('Kappa Coefficient: ' + (hasKappa ? metrics.kappa.toFixed(3) : 'n/a')));
+      lastRun.summary.accuracy = metrics.accuracy;
+      lastRun.summary.kappa = metrics.kappa;
+      if (metrics.folds) {
+        addFoldSummary(metrics.folds);
+      }
+      addAccuracyTables(metrics, runInfo.floodClasses);
+
+      if (metrics.explanation.importance) {
+        addImportanceChart(metrics.explanation.importance);
       }
+      
+      addDownloadLink(aoi, floodPixels);
     });
-    var legendItemPanel = ui.Panel([colorBox, description], ui.Panel.Layout.flow('horizontal'));
-    legendPanel.add(legendItemPanel);
-  }
+  });
 }
-map.add(legendPanel);
 
-//================================================================================
-// === APP LOGIC & EVENT HANDLERS ===
-//================================================================================
+/**
+ * Adds the area of each mapped class, marking the classes counted as flood.
+ * 'classAreas' is a list of {class, sum} groups with areas in m².
+ */
+function addClassAreaTable(classAreas, runInfo, aoiHa) {
+  var table = [['Class', 'Flooded', 'Area (ha)', '% of AOI']];
+  classAreas.forEach(function(group) {
+    var ha = group.sum / 10000;
+    table.push([
+      group['class'] + ': ' + getClassInfo(group['class']).name,
+      runInfo.floodClasses.indexOf(group['class']) !== -1 ? 'Yes' : 'No',
+      ha.toFixed(2),
+      (ha / aoiHa * 100).toFixed(1) + '%'
+    ]);
+  });
+  resultsPanel.add(ui.Label('Area by Class', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  resultsPanel.add(ui.Chart(table, 'Table'));
+}
 
 /**
- * Resets the application state.
+ * Formats a 0-1 fraction as a percentage, or 'n/a' for classes without samples.
  */
-function resetApp(clearAoi) {
-  map.layers().reset();
-  if (clearAoi) {
-      drawingTools.layers().get(0).geometries().reset();
-  }
-  resultsPanel.clear();
-  legendPanel.clear();
-  areaPanelLabel.setValue('Flooded Area: N/A');
-  statusLabel.setValue('Status: Ready. Please draw an Area of Interest (AOI).').style().set('color', 'gray');
-  runButton.setDisabled(false);
+function formatPercent(value) {
+  return (value === null || isNaN(value)) ? 'n/a' : (value * 100).toFixed(1) + '%';
 }
 
 /**
- * Loads and displays the default AOI from the Nepal asset.
- * This function uses .evaluate() to handle the computed server-side geometry.
+ * Adds the confusion matrix and per-class accuracy tables. Rows of the matrix
+ * are reference labels and columns are predictions, both in 'metrics.order'.
+ * The F1 score is also reported for each of the 'floodClasses'.
  */
-function loadDefaultAoi() {
-  // Check if the global 'Nepal' asset is available
-  if (typeof Nepal === 'undefined') {
-    handleError('The "Nepal" asset is not imported. Please add it to your Imports section.');
-    return;
-  }
-  
-  resetApp(true); // Reset the map and clear any existing AOI geometry
-  drawingTools.stop();
-  statusLabel.setValue('Status: Loading default AOI (Melamchi)...').style().set('color', 'orange');
+function addAccuracyTables(metrics, floodClasses) {
+  var matrix = metrics.matrix;
+  var classes = metrics.order;
 
-  // 1. Define the computed Earth Engine Geometry object (server-side)
-  // FIX: Using the corrected column name 'GaPa_NaPa'
-  var filteredFeatures = Nepal.filter(ee.Filter.eq('GaPa_NaPa', 'Melamchi'));
-  
-  // Use ee.Algorithms.If to check if the filtered collection is empty, preventing a 'null' error
-  var defaultAoiEE = ee.Algorithms.If(
-    filteredFeatures.size().gt(0),
-    filteredFeatures.geometry().bounds(),
-    ee.Geometry.Point(85.58, 27.83).buffer(1) // Fallback to a small point near Melamchi
-  );
-  defaultAoiEE = ee.Geometry(defaultAoiEE); // Cast the result
+  var matrixTable = [['Reference / Predicted'].concat(classes.map(function(c) {
+    return 'Class ' + c;
+  }))];
+  matrix.forEach(function(row, i) {
+    matrixTable.push(['Class ' + classes[i]].concat(row));
+  });
+  resultsPanel.add(ui.Label('Confusion Matrix', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  resultsPanel.add(ui.Chart(matrixTable, 'Table'));
 
-  // 2. Compute the geometry on the server and use the result client-side.
-  defaultAoiEE.evaluate(function(geojson, error) {
-    // Note: The check for 'geojson.coordinates' ensures the default AOI was actually found,
-    // otherwise, the fallback geometry is used.
-    if (error || !geojson.coordinates) {
-      handleError('Could not find Melamchi in the asset. Default point used. Check "GaPa_NaPa" value.');
-    }
-    
-    // Get the geometry layer from the drawing tools.
-    var geometryLayer = drawingTools.layers().get(0);
-    
-    // Reset the geometries array in the layer.
-    geometryLayer.geometries().reset();
-    
-    // Add the new client-side GeoJSON object to the layer.
-    geometryLayer.geometries().add(geojson);
-    
-    // Center the map on the new AOI (using the server-side object for centering).
-    map.centerObject(defaultAoiEE, 12);
+  var classTable = [['Class', "Producer's", "User's", 'Omission', 'Commission', 'F1']];
+  classes.forEach(function(c, i) {
+    var producers = metrics.producers[i][0];
+    var users = metrics.consumers[0][i];
+    classTable.push([
+      'Class ' + c,
+      formatPercent(producers),
+      formatPercent(users),
+      formatPercent(producers === null ? null : 1 - producers),
+      formatPercent(users === null ? null : 1 - users),
+      formatPercent(metrics.fscore[i])
+    ]);
+  });
+  resultsPanel.add(ui.Label('Per-class Accuracy', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  resultsPanel.add(ui.Chart(classTable, 'Table'));
 
-    statusLabel.setValue('Status: Default AOI (Melamchi) loaded. Ready to run.').style().set('color', 'blue');
+  floodClasses.forEach(function(c) {
+    var floodIndex = classes.indexOf(c);
+    if (floodIndex !== -1) {
+      resultsPanel.add(ui.Label('Flood Class F1 Score (' + getClassInfo(c).name + '): ' +
+        formatPercent(metrics.fscore[floodIndex])));
+    }
   });
 }
 
-
 /**
- * Fetches property names from the user-provided asset.
+ * Reports training data per class before and after sampling, how many
+ * features were lost outside the AOI or in masked pixels, and unexpected labels.
  */
-function fetchAndPopulateColumns() {
-  fetchColumnsButton.setDisabled(true);
-  statusLabel.setValue('Status: Fetching columns...').style().set('color', 'orange');
-  columnSelectDropdown.setPlaceholder('Fetching...');
+function addTrainingDiagnostics(diag) {
+  resultsPanel.add(ui.Label('Training Data Diagnostics', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
 
-  var assetId = trainingAssetBox.getValue();
-  if (!assetId) {
-    handleError('Please enter a training data Asset ID first.');
-    fetchColumnsButton.setDisabled(false);
-    return;
+  var labels = Object.keys(diag.rawCounts);
+  Object.keys(diag.sampledCounts).forEach(function(label) {
+    if (labels.indexOf(label) === -1) {
+      labels.push(label);
+    }
+  });
+  labels.sort();
+
+  var table = [['Class', 'Features', 'Samples']];
+  labels.forEach(function(label) {
+    table.push(['Class ' + label, diag.rawCounts[label] || 0, diag.sampledCounts[label] || 0]);
+  });
+  table.push(['Total', diag.rawTotal, diag.sampledTotal]);
+  resultsPanel.add(ui.Chart(table, 'Table'));
+
+  var outside = diag.rawTotal - diag.insideAoi;
+  resultsPanel.add(ui.Label('Outside the AOI: ' + outside + ' features'));
+  // Point features give one sample each, so the shortfall inside the AOI is
+  // the number lost to cloud/no-data masks. Polygons yield many samples.
+  var masked = diag.insideAoi - diag.sampledTotal;
+  if (masked >= 0) {
+    resultsPanel.add(ui.Label('In masked pixels (points): ' + masked + ' features'));
   }
 
-  var fc;
-  try {
-    fc = ee.FeatureCollection(assetId);
-  } catch (e) {
-    handleError('Invalid Asset ID. Could not load FeatureCollection.');
-    fetchColumnsButton.setDisabled(false);
-    return;
+  var configured = CONFIG.CLASSES.map(function(entry) {
+    return String(entry.value);
+  });
+  var unexpected = labels.filter(function(label) {
+    return configured.indexOf(label) === -1;
+  });
+  if (unexpected.length) {
+    resultsPanel.add(ui.Label('Warning: labels not listed in CONFIG.CLASSES found (' + unexpected.join(', ') +
+      '). They are mapped but never counted as flood.', { color: 'red' }));
+  }
+}
+
+/**
+ * Returns the mean and standard deviation of a list of numbers.
+ */
+function meanAndSpread(values) {
+  var mean = values.reduce(function(sum, value) {
+    return sum + value;
+  }, 0) / values.length;
+  var variance = values.reduce(function(sum, value) {
+    return sum + Math.pow(value - mean, 2);
+  }, 0) / values.length;
+  return {mean: mean, sd: Math.sqrt(variance)};
+}
+
+/**
+ * Summarizes accuracy and kappa across cross-validation folds.
+ */
+function addFoldSummary(folds) {
+  // Folds that are empty or hold a single class have no accuracy or kappa
+  var isValid = function(value) {
+    return value !== null && !isNaN(value);
+  };
+  var accuracies = folds.map(function(fold) {
+    return fold.accuracy;
+  }).filter(isValid);
+  var kappas = folds.map(function(fold) {
+    return fold.kappa;
+  }).filter(isValid);
+  resultsPanel.add(ui.Label('Cross-validation (' + folds.length + ' folds)',
+    { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  if (accuracies.length) {
+    var accuracy = meanAndSpread(accuracies);
+    resultsPanel.add(ui.Label('Accuracy: ' + (accuracy.mean * 100).toFixed(2) + '% ± ' +
+      (accuracy.sd * 100).toFixed(2) + '%'));
+  }
+  if (kappas.length) {
+    var kappa = meanAndSpread(kappas);
+    resultsPanel.add(ui.Label('Kappa: ' + kappa.mean.toFixed(3) + ' ± ' + kappa.sd.toFixed(3)));
+  }
+  if (accuracies.length < folds.length || kappas.length < folds.length) {
+    resultsPanel.add(ui.Label('Folds shown as n/a are left out of the mean.', { fontSize: '12px', color: 'gray' }));
   }
 
-  var first = fc.first();
-  var propNames = first.propertyNames();
+  var foldTable = [['Fold', 'Accuracy', 'Kappa']];
+  folds.forEach(function(fold, i) {
+    foldTable.push([String(i + 1), formatPercent(fold.accuracy),
+      isValid(fold.kappa) ? fold.kappa.toFixed(3) : 'n/a']);
+  });
+  resultsPanel.add(ui.Chart(foldTable, 'Table'));
+}
 
-  propNames.evaluate(function(names, error) {
+/**
+ * Charts the tuning accuracy of each grid-search candidate.
+ */
+function addGridSearchChart(gridSearch) {
+  var dataTable = [['Parameters', 'Accuracy']];
+  gridSearch.forEach(function(candidate) {
+    dataTable.push([candidate.label, candidate.accuracy * 100]);
+  });
+  resultsPanel.add(ui.Label('Grid Search', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  resultsPanel.add(ui.Chart(dataTable, 'BarChart', {
+    title: 'Tuning accuracy per configuration (best used)',
+    legend: { position: 'none' },
+    hAxis: { title: 'Accuracy (%)' },
+    height: Math.max(200, gridSearch.length * 25)
+  }));
+}
+
+/**
+ * Charts classifier variable importance and the share contributed by
+ * SAR, optical and terrain features.
+ */
+function addImportanceChart(importance) {
+  var sensorOf = {};
+  CONFIG.S2_BANDS.forEach(function(band) { sensorOf[band] = 'S2'; });
+  CONFIG.S1_BANDS.forEach(function(band) { sensorOf[band] = 'S1'; });
+  CONFIG.FEATURES.forEach(function(feature) { sensorOf[feature.name] = feature.sensor; });
+
+  var names = Object.keys(importance).sort(function(a, b) {
+    return importance[b] - importance[a];
+  });
+  var total = 0;
+  var shares = {S1: 0, S2: 0, terrain: 0};
+  names.forEach(function(name) {
+    total += importance[name];
+    shares[sensorOf[name] || 'terrain'] += importance[name];
+  });
+
+  var dataTable = [['Feature', 'Importance']];
+  names.forEach(function(name) {
+    dataTable.push([name, importance[name]]);
+  });
+
+  resultsPanel.add(ui.Label('Variable Importance', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  resultsPanel.add(ui.Label('Share: SAR ' + formatPercent(shares.S1 / total) +
+    ', Optical ' + formatPercent(shares.S2 / total) +
+    ', Terrain ' + formatPercent(shares.terrain / total)));
+  resultsPanel.add(ui.Chart(dataTable, 'BarChart', {
+    title: 'Variable Importance',
+    legend: { position: 'none' },
+    hAxis: { title: 'Importance' },
+    height: Math.max(200, names.length * 20)
+  }));
+}
+
+/**
+ * Computes flood exposure and fills 'panel' with it, plus a CSV download.
+ * Runs alongside the rest of the results, so it writes into its own panel.
+ */
+function addImpactAssessment(panel, floodMask, aoi) {
+  panel.add(ui.Label('Impact Assessment: calculating...', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+
+  computeImpact(floodMask, aoi).evaluate(function(impact, error) {
+    panel.clear();
+    panel.add(ui.Label('Impact Assessment', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
     if (error) {
-      handleError('Could not fetch column names: ' + error);
-      columnSelectDropdown.setPlaceholder('Fetch failed');
-    } else {
-      var userNames = names.filter(function(name) {
-        return name !== 'system:index';
-      });
-      
-      columnSelectDropdown.items().reset(userNames);
-      columnSelectDropdown.setDisabled(false);
-      
-      // Check if the default column exists in the list and set it
-      var defaultColumnExists = userNames.indexOf(CONFIG.DEFAULT_CLASS_COLUMN) !== -1;
-      
-      if (defaultColumnExists) {
-        columnSelectDropdown.setValue(CONFIG.DEFAULT_CLASS_COLUMN);
-        statusLabel.setValue('Status: Columns fetched. Default class selected.').style().set('color', 'blue');
-      } else {
-        columnSelectDropdown.setPlaceholder('Select a column');
-        statusLabel.setValue('Status: Columns fetched. Select class property.').style().set('color', 'blue');
+      panel.add(ui.Label('Could not compute impact: ' + error, {color: 'red'}));
+      return;
+    }
+
+    var rows = [
+      {metric: 'Exposed population', value: Math.round(impact.population || 0), unit: 'people'},
+      {metric: 'Flooded buildings', value: impact.buildings, unit: 'buildings'}
+    ];
+    if (impact.roadKm !== undefined) {
+      rows.push({metric: 'Flooded roads', value: Number(impact.roadKm.toFixed(2)), unit: 'km'});
+    }
+    var croplandHa = 0;
+    impact.landCover.forEach(function(group) {
+      var ha = group.sum / 10000;
+      if (group['class'] === CONFIG.CROPLAND_CLASS) {
+        croplandHa = ha;
       }
+      rows.push({
+        metric: 'Flooded ' + (CONFIG.LAND_COVER_CLASSES[group['class']] || 'class ' + group['class']).toLowerCase(),
+        value: Number(ha.toFixed(2)),
+        unit: 'ha'
+      });
+    });
+
+    panel.add(ui.Label('Exposed Population: ' + rows[0].value.toLocaleString()));
+    panel.add(ui.Label('Flooded Cropland: ' + croplandHa.toFixed(2) + ' ha'));
+    panel.add(ui.Label('Flooded Buildings: ' + impact.buildings));
+    if (impact.roadKm !== undefined) {
+      panel.add(ui.Label('Flooded Roads: ' + impact.roadKm.toFixed(2) + ' km'));
+    } else {
+      panel.add(ui.Label('Flooded Roads: off (set CONFIG.ROADS to a road-line asset)', {color: 'gray'}));
+    }
+
+    var table = [['Metric', 'Value', 'Unit']];
+    rows.forEach(function(row) {
+      table.push([row.metric, row.value, row.unit]);
+    });
+    panel.add(ui.Chart(table, 'Table'));
+
+    if (lastRun) {
+      lastRun.summary.exposedPopulation = rows[0].value;
+      lastRun.summary.floodedBuildings = impact.buildings;
+      lastRun.summary.croplandHa = croplandHa;
     }
-    fetchColumnsButton.setDisabled(false);
+
+    ee.FeatureCollection(rows.map(function(row) {
+      return ee.Feature(null, row);
+    })).getDownloadURL({
+      format: 'csv',
+      selectors: ['metric', 'value', 'unit'],
+      filename: 'flood_impact'
+    }, function(url, failure) {
+      if (failure) {
+        panel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
+        return;
+      }
+      panel.add(ui.Label({
+        value: 'Download Impact Table (CSV)',
+        style: { color: 'blue', textDecoration: 'underline', margin: '4px 0' },
+        targetUrl: url
+      }));
+    });
   });
 }
 
-
 /**
- * Main function to orchestrate the analysis workflow.
+ * Computes flooded area per administrative unit and fills 'panel' with a
+ * sortable table and CSV download; the units are also drawn as a choropleth.
  */
-function runAnalysis() {
-  var aoi = drawingTools.layers().get(0).getEeObject();
-  
-  if (!aoi) {
-    handleError('Please draw an Area of Interest (AOI) first.');
+function addZonalStats(panel, floodMask, aoi) {
+  panel.add(ui.Label('Flood by Administrative Unit: calculating...', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  var boundaries = getAdminBoundaries();
+  if (!boundaries) {
+    panel.clear();
+    panel.add(ui.Label('Zonal statistics need CONFIG.ADMIN_BOUNDARIES or the "Nepal" asset in the Imports section.', {color: 'red'}));
     return;
   }
 
-  runButton.setDisabled(true);
-  statusLabel.setValue('Status: Processing...').style().set('color', 'orange');
-  resultsPanel.clear();
-  legendPanel.clear();
-  areaPanelLabel.setValue('Flooded Area: Processing...');
-  
-  var startDate = ee.Date(startDateBox.getValue());
-  var endDate = ee.Date(endDateBox.getValue());
-  var trainingAssetId = trainingAssetBox.getValue();
-  var classColumn = columnSelectDropdown.getValue();
-  var rfTrees = ee.Number.parse(String(rfTreesBox.getValue()));
-  var slopeThreshold = slopeSlider.getValue();
-  var connectivityThreshold = connectivitySlider.getValue();
+  var zones = computeZonalStats(floodMask, aoi, boundaries, CONFIG.ADMIN_NAME_COLUMN);
+  var floodPct = ee.Image().float().paint(zones, 'flood_pct');
+  var choropleth = ee.Image(0).updateMask(floodPct.mask());
+  CONFIG.ZONAL_BREAKS.forEach(function(threshold) {
+    choropleth = choropleth.add(floodPct.gte(threshold));
+  });
+  // Shown (semi-transparent) so the map matches the zonal legend entries
+  map.addLayer(choropleth, CONFIG.VIS_ZONAL, 'Flood % by Admin Unit', true, 0.6);
+  map.addLayer(ee.Image().byte().paint(zones, 1, 1), {palette: ['#555555']}, 'Admin Unit Boundaries', false);
+  buildLegend('Legend', addLegendEntries(lastRun.legendInfo, CONFIG.LEGEND_INFO_ZONAL));
 
-  if (!trainingAssetId || !classColumn) {
-    handleError('Please provide a Training Asset and select a Class Column.');
-    return;
-  }
-  
-  map.centerObject(aoi, 11);
-  
-  var empty = ee.Image().byte();
-  var aoiOutline = empty.paint({
-    featureCollection: ee.FeatureCollection(aoi),
-    color: 1,
-    width: 3
+  var columns = ['name', 'flood_ha', 'zone_ha', 'flood_pct'];
+  zones.reduceColumns(ee.Reducer.toList(columns.length), columns).get('list').evaluate(function(rows, error) {
+    panel.clear();
+    panel.add(ui.Label('Flood by Administrative Unit', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+    if (error) {
+      panel.add(ui.Label('Could not compute zonal statistics: ' + error, {color: 'red'}));
+      return;
+    }
+    if (!rows.length) {
+      panel.add(ui.Label('No administrative units intersect the AOI.', {color: 'gray'}));
+      return;
+    }
+
+    rows.sort(function(a, b) {
+      return b[1] - a[1];
+    });
+    var table = [['Unit', 'Flooded (ha)', 'Unit Area in AOI (ha)', 'Flooded (%)']];
+    rows.forEach(function(row) {
+      table.push([String(row[0]), Number(row[1].toFixed(2)), Number(row[2].toFixed(2)), Number(row[3].toFixed(2))]);
+    });
+    panel.add(ui.Label('Click a column header to sort.', { fontSize: '12px', color: 'gray' }));
+    panel.add(ui.Chart(table, 'Table'));
+
+    zones.select(columns).getDownloadURL({
+      format: 'csv',
+      selectors: columns,
+      filename: 'flood_by_admin_unit'
+    }, function(url, failure) {
+      if (failure) {
+        panel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
+        return;
+      }
+      panel.add(ui.Label({
+        value: 'Download Zonal Statistics (CSV)',
+        style: { color: 'blue', textDecoration: 'underline', margin: '4px 0' },
+        targetUrl: url
+      }));
+    });
   });
-  map.addLayer(aoiOutline, {palette: 'FF0000'}, 'Area of Interest');
-  
-  drawingTools.layers().get(0).geometries().reset();
+}
 
-  statusLabel.setValue('Status: Processing satellite data...');
-  var s1_image = processS1_ARD(startDate, endDate, aoi);
-  var s2_image = processS2_ARD(startDate, endDate, aoi);
+/**
+ * Adds the estimated flood depth layers, mean/max depth, the area per depth
+ * class and a GeoTIFF download of the depth raster to 'panel'.
+ */
+function addFloodDepth(panel, run) {
+  panel.add(ui.Label('Flood Depth (FwDET): calculating...', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  var depth = run.depth;
 
-  var bandCounts = ee.Dictionary({
-    s1: s1_image.bandNames().size(),
-    s2: s2_image.bandNames().size()
+  var depthClasses = ee.Image(0);
+  CONFIG.DEPTH_CLASSES.forEach(function(depthClass, i) {
+    depthClasses = depthClasses.where(depth.gte(depthClass.min), i);
+  });
+  map.addLayer(depth, CONFIG.VIS_DEPTH, 'Flood Depth (m)', false);
+  map.addLayer(depthClasses.updateMask(depth.mask()), {
+    min: 0,
+    max: CONFIG.DEPTH_CLASSES.length - 1,
+    palette: CONFIG.DEPTH_CLASSES.map(function(depthClass) {
+      return depthClass.color;
+    })
+  }, 'Flood Depth Class');
+  var depthLegend = {};
+  CONFIG.DEPTH_CLASSES.forEach(function(depthClass) {
+    depthLegend['Depth ' + depthClass.label] = depthClass.color;
   });
+  buildLegend('Legend', addLegendEntries(run.legendInfo, depthLegend));
 
-  bandCounts.evaluate(function(counts, error) {
+  var classAreas = {};
+  CONFIG.DEPTH_CLASSES.forEach(function(depthClass) {
+    classAreas[depthClass.label] = sumMaskArea(depth.gte(depthClass.min).and(depth.lt(depthClass.max)), run.aoi);
+  });
+  var depthStats = ee.Dictionary({
+    stats: depth.reduceRegion({
+      reducer: ee.Reducer.mean().combine(ee.Reducer.max(), '', true),
+      geometry: run.aoi,
+      scale: CONFIG.DEPTH_SCALE,
+      maxPixels: 1e13,
+      tileScale: 4
+    }),
+    classAreas: ee.Dictionary(classAreas),
+    unfilledArea: sumMaskArea(run.depthExtent.and(depth.mask().unmask(0).not()), run.aoi)
+  });
+
+  depthStats.evaluate(function(result, error) {
+    panel.clear();
+    panel.add(ui.Label('Flood Depth (FwDET)', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
     if (error) {
-      handleError('Could not verify input data: ' + error);
+      panel.add(ui.Label('Could not estimate flood depth: ' + error, {color: 'red'}));
       return;
     }
-    if (counts.s1 === 0 || counts.s2 === 0) {
-      handleError('No Sentinel-1 or Sentinel-2 images found for the criteria.');
+    if (result.stats.depth_mean === null) {
+      panel.add(ui.Label('No flooded pixels to estimate depth for.', {color: 'gray'}));
       return;
     }
+    run.summary.meanDepth = result.stats.depth_mean;
+    run.summary.maxDepth = result.stats.depth_max;
+    panel.add(ui.Label('Mean Depth: ' + result.stats.depth_mean.toFixed(2) + ' m'));
+    panel.add(ui.Label('Max Depth: ' + result.stats.depth_max.toFixed(2) + ' m'));
 
-    var s2_bands = ['B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B8A', 'B11', 'B12'];
-    var stackedImage = s2_image.select(s2_bands).addBands(s1_image);
+    var table = [['Depth', 'Area (ha)']];
+    CONFIG.DEPTH_CLASSES.forEach(function(depthClass) {
+      table.push([depthClass.label, Number((result.classAreas[depthClass.label] / 10000).toFixed(2))]);
+    });
+    panel.add(ui.Chart(table, 'Table'));
+    var unfilledHa = result.unfilledArea / 10000;
+    if (unfilledHa > 0) {
+      var reach = CONFIG.DEPTH_FILL_RADII.reduce(function(sum, radius) {
+        return sum + radius;
+      }, 0) * CONFIG.DEPTH_SCALE;
+      panel.add(ui.Label('No depth estimate (more than ' + reach + ' m from the flood edge): ' +
+        unfilledHa.toFixed(2) + ' ha', {color: 'red'}));
+    }
+    panel.add(ui.Label('Approximate: the water surface is taken from DEM elevations (' + CONFIG.DEPTH_SCALE +
+      ' m) along the flood edge.', { fontSize: '12px', color: 'gray' }));
 
-    statusLabel.setValue('Status: Loading training data...');
-    var trainingDataRaw;
-    try {
-      trainingDataRaw = ee.FeatureCollection(trainingAssetId);
-    } catch (e) {
-      handleError('Could not load training data. Check Asset ID.');
+    depth.getDownloadURL({
+      name: 'flood_depth',
+      region: run.aoi,
+      scale: CONFIG.DEPTH_SCALE,
+      format: 'GEO_TIFF'
+    }, function(url, failure) {
+      if (failure) {
+        panel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
+        return;
+      }
+      panel.add(ui.Label({
+        value: 'Download Flood Depth (GeoTIFF)',
+        style: { color: 'blue', textDecoration: 'underline', margin: '4px 0' },
+        targetUrl: url
+      }));
+    });
+  });
+}
+
+/**
+ * Charts daily (bars) and cumulative (lines) AOI precipitation over the event
+ * window from the chosen rainfall source(s), marking the dates of the
+ * Sentinel-1 and Sentinel-2 acquisitions used in the composite.
+ */
+function addRainfallChart(panel, run) {
+  var params = run.params;
+  var sensorMode = run.runInfo.sensorMode;
+  panel.add(ui.Label('Rainfall: calculating...', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+
+  var sources = CONFIG.RAINFALL_SOURCES.filter(function(source) {
+    return params.rainfallSource === 'Both' || params.rainfallSource === source.label;
+  });
+  var startDate = ee.Date(params.startDate);
+  var endDate = ee.Date(params.endDate);
+  // A single-acquisition composite only used the scenes of that day
+  var s2Start = startDate;
+  var s2End = endDate;
+  if (params.compositing.method === CONFIG.COMPOSITE_SINGLE) {
+    s2Start = ee.Date(params.compositing.date);
+    s2End = s2Start.advance(1, 'day');
+  }
+  var rainfall = ee.Dictionary({
+    series: sources.map(function(source) {
+      return getDailyPrecipitation(source, startDate, endDate, run.aoi);
+    }),
+    s2Dates: sensorMode === CONFIG.SENSOR_S1 ? [] :
+      getS2Collection(s2Start, s2End, run.aoi, params.cloudMask).aggregate_array('system:time_start')
+  });
+
+  rainfall.evaluate(function(result, error) {
+    panel.clear();
+    panel.add(ui.Label('Rainfall (AOI mean)', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+    if (error) {
+      panel.add(ui.Label('Could not load precipitation: ' + error, {color: 'red'}));
       return;
     }
 
-    statusLabel.setValue('Status: Sampling training data...');
-    var allSampledPoints = stackedImage.sampleRegions({
-      collection: trainingDataRaw,
-      properties: [classColumn],
-      scale: 10,
-      tileScale: 8
+    var toDay = function(time) {
+      return new Date(time).toISOString().slice(0, 10);
+    };
+    var marks = {};
+    var addMark = function(day, sensor) {
+      if (!marks[day]) {
+        marks[day] = [];
+      }
+      if (marks[day].indexOf(sensor) === -1) {
+        marks[day].push(sensor);
+      }
+    };
+    if (sensorMode !== CONFIG.SENSOR_S2) {
+      run.runInfo.s1Scenes.forEach(function(scene) {
+        addMark(toDay(scene[0]), 'S1');
+      });
+    }
+    result.s2Dates.forEach(function(time) {
+      addMark(toDay(time), 'S2');
     });
 
-    allSampledPoints.size().evaluate(function(numSampledPoints, error) {
-      if (error || numSampledPoints === 0) {
-        handleError('No valid training data found. Points may be in cloudy areas or outside image extent.');
-        return;
+    // Columns: date, then per source its daily value (with the acquisition
+    // annotation on the first source) and its running total.
+    var cols = [{label: 'Date', type: 'string'}];
+    var series = {};
+    sources.forEach(function(source, i) {
+      cols.push({label: source.label + ' daily (mm)', type: 'number'});
+      if (i === 0) {
+        cols.push({type: 'string', role: 'annotation'});
       }
-      
-      var sampledWithRandom = allSampledPoints.randomColumn('random');
-      var trainingSet = sampledWithRandom.filter(ee.Filter.lt('random', CONFIG.DEFAULT_TRAINING_SPLIT));
-      var validationSet = sampledWithRandom.filter(ee.Filter.gte('random', CONFIG.DEFAULT_TRAINING_SPLIT));
+      series[i] = {type: 'bars', targetAxisIndex: 0};
+    });
+    sources.forEach(function(source, i) {
+      cols.push({label: source.label + ' cumulative (mm)', type: 'number'});
+      series[sources.length + i] = {type: 'line', targetAxisIndex: 1};
+    });
 
-      statusLabel.setValue('Status: Training classifier...');
-      var classifier = ee.Classifier.smileRandomForest(rfTrees)
-        .train({
-          features: trainingSet,
-          classProperty: classColumn,
-          inputProperties: stackedImage.bandNames()
-        });
+    var totals = sources.map(function() {
+      return 0;
+    });
+    var peaks = sources.map(function() {
+      return {mm: -1, date: null};
+    });
+    var rows = result.series[0].map(function(day, d) {
+      var cells = [{v: day.date}];
+      var daily = [];
+      result.series.forEach(function(sourceDays, i) {
+        var mm = sourceDays[d].mm;
+        if (mm !== undefined && mm !== null) {
+          totals[i] += mm;
+          if (mm > peaks[i].mm) {
+            peaks[i] = {mm: mm, date: day.date};
+          }
+        }
+        daily.push(mm === undefined ? null : mm);
+      });
+      daily.forEach(function(mm, i) {
+        cells.push({v: mm});
+        if (i === 0) {
+          cells.push({v: marks[day.date] ? marks[day.date].join('+') : null});
+        }
+      });
+      totals.forEach(function(total) {
+        cells.push({v: total});
+      });
+      return {c: cells};
+    });
+
+    sources.forEach(function(source, i) {
+      panel.add(ui.Label(source.label + ': ' + totals[i].toFixed(1) + ' mm total' +
+        (peaks[i].date ? ', peak ' + peaks[i].mm.toFixed(1) + ' mm on ' + peaks[i].date : ''),
+        { fontSize: '12px' }));
+    });
+    panel.add(ui.Label('Labels mark the acquisition dates used in the composite.', { fontSize: '12px', color: 'gray' }));
+    panel.add(ui.Chart({cols: cols, rows: rows}, 'ComboChart', {
+      title: 'Precipitation over the Event Window',
+      series: series,
+      vAxes: {
+        0: {title: 'Daily (mm)'},
+        1: {title: 'Cumulative (mm)'}
+      },
+      hAxis: {title: 'Date', slantedText: true},
+      annotations: {style: 'line'},
+      legend: {position: 'bottom'}
+    }));
+  });
+}
+
+/**
+ * Applies the run's classifier to each time step of the event window and
+ * fills 'panel' with a chart of flooded hectares per step, a slider that
+ * steps one map layer through the per-date flood masks, and an animated GIF
+ * link and video export of the sequence. Steps without the imagery the
+ * sensor mode needs are skipped.
+ */
+function addTimeSeries(panel, run) {
+  var params = run.params;
+  var sensorMode = run.runInfo.sensorMode;
+  panel.add(ui.Label('Flood Time Series: calculating...', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
 
-      statusLabel.setValue('Status: Classifying image...');
-      var classified = stackedImage.classify(classifier);
+  var acquisitions = null;
+  if (params.timeSeriesStep === CONFIG.TIMESERIES_ACQUISITION) {
+    acquisitions = sensorMode === CONFIG.SENSOR_S2 ?
+      getS2Collection(params.startDate, params.endDate, run.aoi, params.cloudMask) :
+      getS1Collection(params.startDate, params.endDate, run.aoi, params.orbitPass);
+  }
+  getTimeSteps(ee.Date(params.startDate), ee.Date(params.endDate), run.aoi, params.orbitPass,
+    params.cloudMask, acquisitions, params.timeSeriesDays).evaluate(function(allSteps, error) {
+    panel.clear();
+    panel.add(ui.Label('Flood Time Series', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+    if (error) {
+      panel.add(ui.Label('Could not build time steps: ' + error, {color: 'red'}));
+      return;
+    }
+
+    var steps = allSteps.filter(function(step) {
+      return (sensorMode === CONFIG.SENSOR_S2 || step.s1 > 0) &&
+        (sensorMode === CONFIG.SENSOR_S1 || step.s2 > 0);
+    });
+    var skipped = allSteps.length - steps.length;
+    if (steps.length > CONFIG.TIMESERIES_MAX_STEPS) {
+      skipped += steps.length - CONFIG.TIMESERIES_MAX_STEPS;
+      steps = steps.slice(0, CONFIG.TIMESERIES_MAX_STEPS);
+    }
+    if (!steps.length) {
+      panel.add(ui.Label('No time step has the imagery needed for ' + sensorMode + '.', {color: 'gray'}));
+      return;
+    }
+    panel.add(ui.Label(params.timeSeriesStep === CONFIG.TIMESERIES_ACQUISITION ?
+      'Steps: one per acquisition date' : 'Steps: ' + params.timeSeriesDays + '-day windows', { fontSize: '12px' }));
+    if (skipped) {
+      panel.add(ui.Label('Skipped ' + skipped + ' step(s) without imagery or beyond the limit of ' +
+        CONFIG.TIMESERIES_MAX_STEPS + '.', { fontSize: '12px', color: 'gray' }));
+    }
 
-      var dem = ee.Image(CONFIG.DEM);
-      var slope = ee.Terrain.slope(dem);
-      var slopeMask = slope.lte(slopeThreshold);
+    // Steps are short, so only the maximum-water method differs from a median
+    var stepCompositing = params.compositing.method === CONFIG.COMPOSITE_MAX_WATER ?
+      params.compositing : {method: CONFIG.COMPOSITE_MEDIAN};
+    var floodMasks = steps.map(function(step) {
+      var s1_image = sensorMode === CONFIG.SENSOR_S2 ? null :
+        processS1_ARD(ee.Date(step.start), ee.Date(step.end), run.aoi, params.orbitPass, params.s1Options,
+          stepCompositing);
+      var s2_image = sensorMode === CONFIG.SENSOR_S1 ? null :
+        processS2_ARD(ee.Date(step.s2Start), ee.Date(step.s2End), run.aoi, params.cloudMask, stepCompositing);
+      return run.mapFlood(run.buildStack(s1_image, s2_image)).unmask(0).clip(run.aoi).rename('flood');
+    });
 
-      var floodPixels = classified.eq(1);
+    ee.List(floodMasks.map(function(mask) {
+      return sumMaskArea(mask, run.aoi);
+    })).evaluate(function(areas, areaError) {
+      if (areaError) {
+        panel.add(ui.Label('Could not calculate time-series areas: ' + areaError, {color: 'red'}));
+        return;
+      }
+      var dataTable = [['Date', 'Flooded (ha)']];
+      steps.forEach(function(step, i) {
+        dataTable.push([step.start, Number((areas[i] / 10000).toFixed(2))]);
+      });
+      panel.add(ui.Chart(dataTable, 'LineChart', {
+        title: 'Flooded Area over Time',
+        legend: { position: 'none' },
+        hAxis: { title: 'Step start date' },
+        vAxis: { title: 'Flooded area (ha)', minValue: 0 },
+        pointSize: 4
+      }));
+    });
 
-      var finalFloodPixels = ee.Image(ee.Algorithms.If(
-          ee.Number(connectivityThreshold).gt(0),
-          floodPixels.connectedPixelCount({maxSize: 100, eightConnected: true})
-                       .gte(connectivityThreshold),
-          floodPixels
-      ));
+    var stepLabel = function(i) {
+      return acquisitions ? steps[i].start : steps[i].start + ' to ' + steps[i].end;
+    };
+    var stepLayer = ui.Map.Layer(floodMasks[0].selfMask(), CONFIG.VIS_CLASSIFICATION,
+      'Flood Time Step: ' + stepLabel(0));
+    map.layers().add(stepLayer);
+    var dateLabel = ui.Label('Showing: ' + stepLabel(0), { fontSize: '12px' });
+    panel.add(ui.Label('Time Step (1-' + steps.length + '):'));
+    panel.add(ui.Slider({
+      min: 1,
+      max: steps.length,
+      value: 1,
+      step: 1,
+      style: { stretch: 'horizontal' },
+      onChange: function(value) {
+        var i = value - 1;
+        stepLayer.setEeObject(floodMasks[i].selfMask());
+        stepLayer.setName('Flood Time Step: ' + stepLabel(i));
+        dateLabel.setValue('Showing: ' + stepLabel(i));
+      }
+    }));
+    panel.add(dateLabel);
+
+    var background = ee.Terrain.hillshade(ee.Image(CONFIG.DEM)).visualize({min: 0, max: 255});
+    var outline = ee.Image().byte().paint(ee.FeatureCollection(run.aoi), 1, 2)
+      .visualize({palette: ['FF0000']});
+    var frames = ee.ImageCollection(floodMasks.map(function(mask) {
+      return background.blend(mask.selfMask().visualize(CONFIG.VIS_CLASSIFICATION)).blend(outline);
+    }));
+    var videoParams = {
+      region: run.aoi,
+      dimensions: CONFIG.TIMESERIES_VIDEO.dimensions,
+      framesPerSecond: CONFIG.TIMESERIES_VIDEO.framesPerSecond,
+      crs: CONFIG.TIMESERIES_VIDEO.crs
+    };
+    frames.getVideoThumbURL(videoParams, function(url, failure) {
+      if (failure) {
+        panel.add(ui.Label('Animation Error: ' + failure, {color: 'red'}));
+        return;
+      }
+      panel.add(ui.Label({
+        value: 'Open Flood Animation (GIF)',
+        style: { color: 'blue', textDecoration: 'underline', margin: '4px 0' },
+        targetUrl: url
+      }));
+    });
+    panel.add(ui.Button({
+      label: 'Export Animation → Drive',
+      onClick: function() {
+        var name = exportName('flood_timeseries');
+        Export.video.toDrive({
+          collection: frames,
+          description: name,
+          folder: CONFIG.EXPORT_FOLDER,
+          fileNamePrefix: name,
+          region: run.aoi,
+          dimensions: CONFIG.TIMESERIES_VIDEO.dimensions,
+          framesPerSecond: CONFIG.TIMESERIES_VIDEO.framesPerSecond,
+          crs: CONFIG.TIMESERIES_VIDEO.crs
+        });
+        statusLabel.setValue('Status: Export task(s) created. Start them in the Tasks tab.').style().set('color', 'blue');
+      }
+    }));
+  });
+}
 
-      var finalClassification = classified.where(floodPixels, finalFloodPixels)
-                                         .updateMask(slopeMask);
+/**
+ * Adds the GeoTIFF download link for the flood mask and completes the run.
+ */
+function addDownloadLink(aoi, floodPixels) {
+  var floodDownloadLayer = floodPixels.selfMask();
+  floodDownloadLayer.getDownloadURL({
+    name: 'flood_area_extraction',
+    region: aoi,
+    scale: 10,
+    format: 'GEO_TIFF'
+  }, function(url, failure) {
+      if(failure){
+        resultsPanel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
+      } else {
+        var downloadLink = ui.Label({
+          value: 'Download Flood Area Map (GeoTIFF)',
+          style: { color: 'blue', textDecoration: 'underline', margin: '8px 0' },
+          targetUrl: url
+        });
+        resultsPanel.add(downloadLink);
+      }
       
-      var floodLayer = finalClassification.eq(1).selfMask();
+      // Keep the sensor mode in view; progress messages replace it during the run
+      runningAoi = null;
+      statusLabel.setValue('Status: Complete. Sensor mode: ' + lastRun.runInfo.sensorMode +
+        ', S2 cloud-free coverage ' + (lastRun.runInfo.s2Coverage * 100).toFixed(0) + '%.')
+        .style().set('color', 'green');
+      runButton.setDisabled(false);
+      exportPanel.style().set('shown', true);
       
-      // Add result layers to map
-      map.addLayer(s2_image, CONFIG.VIS_S2_RGB, 'Sentinel-2 RGB', false);
-      map.addLayer(s1_image.select(['VV_Filtered', 'VH_Filtered', 'Ratio_Filtered']), CONFIG.VIS_S1_FALSE_COLOR, 'Sentinel-1 False Color', false);
+      removeAoiOutline();
       
-      map.addLayer(floodLayer, CONFIG.VIS_CLASSIFICATION, 'Flooded Area');
-      buildLegend('Legend', CONFIG.LEGEND_INFO);
+      var finalAoiOutline = ee.Image().byte().paint({
+        featureCollection: ee.FeatureCollection(aoi),
+        color: 1,
+        width: 3
+      });
+      map.addLayer(finalAoiOutline, {palette: 'red'}, 'Final AOI');
+  });
+}
 
-      statusLabel.setValue('Status: Assessing accuracy...');
-      var validation = validationSet.classify(classifier);
-      var confusionMatrix = validation.errorMatrix(classColumn, 'classification');
-      
-      displayResults(confusionMatrix, aoi, finalClassification);
-    });
+/**
+ * Charts the AOI histogram of each Otsu input band with its chosen threshold.
+ */
+function addOtsuHistograms(histograms, thresholds) {
+  resultsPanel.add(ui.Label('Otsu Thresholds', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  for (var band in thresholds) {
+    var histogram = histograms[band];
+    resultsPanel.add(ui.Label(band + ' threshold: ' + thresholds[band].toFixed(3)));
+    var chart = ui.Chart.array.values({
+      array: histogram.histogram,
+      axis: 0,
+      xLabels: histogram.bucketMeans
+    }).setChartType('ColumnChart')
+      .setOptions({
+        title: band + ' histogram (threshold ' + thresholds[band].toFixed(3) + ')',
+        hAxis: { title: band },
+        vAxis: { title: 'Pixel count' },
+        legend: { position: 'none' },
+        bar: { groupWidth: '100%' }
+      });
+    resultsPanel.add(chart);
+  }
+}
+
+/**
+ * Lists the Sentinel-1 scenes in the composite, grouped by pass and relative orbit.
+ */
+function addS1SceneSummary(scenes) {
+  resultsPanel.add(ui.Label('Sentinel-1 Scenes: ' + scenes.length, { fontWeight: 'bold', margin: '8px 0 4px 0' }));
+  var groups = {};
+  var order = [];
+  scenes.forEach(function(scene) {
+    var key = scene[1] + ' orbit ' + scene[2];
+    if (!groups[key]) {
+      groups[key] = [];
+      order.push(key);
+    }
+    groups[key].push(new Date(scene[0]).toISOString().slice(0, 10));
+  });
+  order.forEach(function(key) {
+    resultsPanel.add(ui.Label(key + ': ' + groups[key].sort().join(', '), { fontSize: '12px' }));
   });
 }
 
 /**
- * Displays final results and accuracy metrics.
+ * Returns the area (m²) of the non-zero pixels of a single-band mask within the AOI.
  */
-function displayResults(confusionMatrix, aoi, finalClassification) {
-  
-  resultsPanel.clear();
-  resultsPanel.add(ui.Label({
-    value: 'Analysis Results',
-    style: { fontWeight: 'bold', fontSize: '16px' }
-  }));
-  
-  statusLabel.setValue('Status: Calculating area...').style().set('color', 'orange');
-  
-  var floodAreaImage = finalClassification.eq(1).multiply(ee.Image.pixelArea());
-  var areaMetrics = ee.Dictionary({
-      floodArea: floodAreaImage.reduceRegion({
+function sumMaskArea(mask, aoi) {
+  return ee.Image(mask).unmask(0).multiply(ee.Image.pixelArea()).rename('area')
+    .reduceRegion({
       reducer: ee.Reducer.sum(),
       geometry: aoi,
       scale: 10,
       maxPixels: 1e13,
       tileScale: 4
-    }).get('classification'),
-    aoiArea: aoi.area({'maxError': 1})
-  });
+    }).get('area');
+}
 
-  areaMetrics.evaluate(function(areaResults, error){
-    if(error){
-      handleError('Could not calculate area. ' + error);
-      return;
+/**
+ * Returns the export file/task name for an output of the last run.
+ */
+function exportName(suffix) {
+  return CONFIG.EXPORT_PREFIX + '_' + suffix + '_' +
+    lastRun.params.startDate.replace(/-/g, '') + '_' + lastRun.params.endDate.replace(/-/g, '');
+}
+
+/**
+ * Adds a download link to the export links panel.
+ */
+function addExportLink(label, url) {
+  exportLinksPanel.add(ui.Label({
+    value: label,
+    style: { color: 'blue', textDecoration: 'underline', margin: '2px 0' },
+    targetUrl: url
+  }));
+}
+
+/**
+ * Starts Drive or asset export tasks for the flood mask and, when available,
+ * the flood probability and depth layers.
+ */
+function exportRasters(destination) {
+  if (!lastRun) {
+    handleError('Run an analysis before exporting.');
+    return;
+  }
+  var assetFolder = exportAssetFolderBox.getValue();
+  if (destination === 'asset' && !assetFolder) {
+    handleError('Enter an asset folder for asset exports.');
+    return;
+  }
+
+  var rasters = [{suffix: 'flood_mask', image: lastRun.floodMask}];
+  if (lastRun.probability) {
+    rasters.push({suffix: 'flood_probability', image: lastRun.probability});
+  }
+  if (lastRun.depth) {
+    rasters.push({suffix: 'flood_depth', image: lastRun.depth});
+  }
+  rasters.forEach(function(raster) {
+    var name = exportName(raster.suffix);
+    var options = {
+      image: raster.image,
+      description: name,
+      region: lastRun.aoi,
+      scale: CONFIG.EXPORT_SCALE,
+      maxPixels: 1e13
+    };
+    if (destination === 'asset') {
+      options.assetId = assetFolder.replace(/\/$/, '') + '/' + name;
+      Export.image.toAsset(options);
+    } else {
+      options.folder = CONFIG.EXPORT_FOLDER;
+      options.fileNamePrefix = name;
+      Export.image.toDrive(options);
     }
+  });
+  statusLabel.setValue('Status: Export task(s) created. Start them in the Tasks tab.').style().set('color', 'blue');
+}
 
-    var floodHa = ee.Number(areaResults.floodArea).divide(10000).getInfo();
-    var aoiHa = ee.Number(areaResults.aoiArea).divide(10000).getInfo();
+/**
+ * Vectorizes the flood mask into polygons with their area in hectares.
+ */
+function getFloodPolygons(run) {
+  return run.floodMask.selfMask().reduceToVectors({
+    geometry: run.aoi,
+    scale: CONFIG.EXPORT_SCALE,
+    geometryType: 'polygon',
+    eightConnected: true,
+    labelProperty: 'flood',
+    maxPixels: 1e13,
+    tileScale: 4
+  }).map(function(feature) {
+    return feature.set('area_ha', feature.geometry().area(1).divide(10000));
+  });
+}
 
-    resultsPanel.add(ui.Label('AOI Area: ' + aoiHa.toFixed(2) + ' ha'));
-    resultsPanel.add(ui.Label('Mapped Flood Area: ' + floodHa.toFixed(2) + ' ha'));
-    areaPanelLabel.setValue('Flooded Area: ' + floodHa.toFixed(2) + ' ha');
+/**
+ * Adds GeoJSON/KML/CSV download links for the flood polygons and starts a
+ * Shapefile export to Drive.
+ */
+function exportFloodVectors() {
+  if (!lastRun) {
+    handleError('Run an analysis before exporting.');
+    return;
+  }
+  statusLabel.setValue('Status: Vectorizing flood mask...').style().set('color', 'orange');
+  var polygons = getFloodPolygons(lastRun);
+  var name = exportName('flood_polygons');
 
-    statusLabel.setValue('Status: Finalizing results...').style().set('color', 'orange');
-    
-    confusionMatrix.accuracy().evaluate(function(accuracy, error) {
-      if (error) {
-        handleError('Could not compute accuracy metrics.');
+  Export.table.toDrive({
+    collection: polygons,
+    description: name,
+    folder: CONFIG.EXPORT_FOLDER,
+    fileNamePrefix: name,
+    fileFormat: 'SHP'
+  });
+
+  ['GeoJSON', 'KML', 'CSV'].forEach(function(format) {
+    polygons.getDownloadURL({
+      format: format.toLowerCase(),
+      filename: name
+    }, function(url, failure) {
+      if (failure) {
+        exportLinksPanel.add(ui.Label('Polygon ' + format + ' Error: ' + failure, {color: 'red'}));
         return;
       }
-      
-      resultsPanel.add(ui.Label('Accuracy Assessment', { fontWeight: 'bold', margin: '8px 0 4px 0' }));
-      resultsPanel.add(ui.Label('Overall Accuracy: ' + (accuracy * 100).toFixed(2) + '%'));
-      
-      // Calculate and display Kappa Coefficient
-      confusionMatrix.kappa().evaluate(function(kappa, kappaError) {
-        if (!kappaError) {
-          resultsPanel.add(ui.Label('Kappa Coefficient: ' + kappa.toFixed(3)));
-        } else {
-          print('Kappa Error:', kappaError);
-        }
-      });
-      
-      var floodDownloadLayer = finalClassification.eq(1).selfMask();
-      floodDownloadLayer.getDownloadURL({
-        name: 'flood_area_extraction',
-        region: aoi,
-        scale: 10,
-        format: 'GEO_TIFF'
-      }, function(url, failure) {
-          if(failure){
-            resultsPanel.add(ui.Label('Download Error: ' + failure, {color: 'red'}));
-          } else {
-            var downloadLink = ui.Label({
-              value: 'Download Flood Area Map (GeoTIFF)',
-              style: { color: 'blue', textDecoration: 'underline', margin: '8px 0' },
-              targetUrl: url
-            });
-            resultsPanel.add(downloadLink);
-          }
-          
-          statusLabel.setValue('Status: Complete.').style().set('color', 'green');
-          runButton.setDisabled(false);
-          
-          var layers = map.layers();
-          var layersToRemove = [];
-          layers.forEach(function(layer) {
-            if (layer.getName() === 'Area of Interest') {
-              layersToRemove.push(layer);
-            }
-          });
-          layersToRemove.forEach(function(layer) {
-            map.layers().remove(layer);
-          });
-          
-          var finalAoiOutline = ee.Image().byte().paint({
-            featureCollection: ee.FeatureCollection(aoi),
-            color: 1,
-            width: 3
-          });
-          map.addLayer(finalAoiOutline, {palette: 'red'}, 'Final AOI');
-      });
+      addExportLink('Download Flood Polygons (' + format + ')', url);
+      statusLabel.setValue('Status: Flood polygons ready. Shapefile export created in the Tasks tab.')
+        .style().set('color', 'green');
     });
   });
 }
 
+/**
+ * Returns the run parameters and headline results as flat table properties.
+ */
+function buildRunMetadata(run) {
+  var p = run.params;
+  var info = run.runInfo;
+  return {
+    run_time: new Date().toISOString(),
+    start_date: p.startDate,
+    end_date: p.endDate,
+    analysis_mode: p.changeMode ? CONFIG.MODE_CHANGE : CONFIG.MODE_SINGLE,
+    pre_start_date: p.changeMode ? p.preStartDate : '',
+    pre_end_date: p.changeMode ? p.preEndDate : '',
+    orbit_pass: p.orbitPass,
+    sensor_mode: info.sensorMode,
+    compositing: info.compositing,
+    s2_cloud_mask: info.cloudMask,
+    s1_preprocessing: info.s1Preprocessing,
+    s2_cloud_free_fraction: info.s2Coverage,
+    method: info.method,
+    classifier: info.classifier || '',
+    training_source: info.trainingSource || '',
+    training_asset: p.trainingAssetId || '',
+    class_column: p.classColumn || '',
+    flood_classes: info.floodClasses ? info.floodClasses.join(' ') : '',
+    features: info.features.join(' '),
+    validation: info.validation || '',
+    balancing: info.balancing || '',
+    probability_cutoff: info.probabilityCutoff === undefined ? '' : info.probabilityCutoff,
+    terrain_mask: p.terrainMode,
+    slope_threshold: p.slopeThreshold,
+    hand_threshold: p.handThreshold,
+    min_patch_pixels: p.connectivityThreshold,
+    jrc_mask: p.maskPermanentWater,
+    aoi_ha: run.summary.aoiHa,
+    flood_ha: run.summary.floodHa,
+    exposed_population: run.summary.exposedPopulation === undefined ? '' : run.summary.exposedPopulation,
+    flooded_buildings: run.summary.floodedBuildings === undefined ? '' : run.summary.floodedBuildings,
+    flooded_cropland_ha: run.summary.croplandHa === undefined ? '' : run.summary.croplandHa,
+    mean_depth_m: run.summary.meanDepth === undefined ? '' : run.summary.meanDepth,
+    max_depth_m: run.summary.maxDepth === undefined ? '' : run.summary.maxDepth,
+    overall_accuracy: run.summary.accuracy === undefined ? '' : run.summary.accuracy,
+    kappa: run.summary.kappa === undefined ? '' : run.summary.kappa
+  };
+}
+
+/**
+ * Adds a CSV download link for the run metadata and starts a Drive export.
+ */
+function exportRunMetadata() {
+  if (!lastRun) {
+    handleError('Run an analysis before exporting.');
+    return;
+  }
+  var name = exportName('run_metadata');
+  var table = ee.FeatureCollection([ee.Feature(null, buildRunMetadata(lastRun))]);
+
+  Export.table.toDrive({
+    collection: table,
+    description: name,
+    folder: CONFIG.EXPORT_FOLDER,
+    fileNamePrefix: name,
+    fileFormat: 'CSV'
+  });
+
+  table.getDownloadURL({
+    format: 'csv',
+    filename: name
+  }, function(url, failure) {
+    if (failure) {
+      exportLinksPanel.add(ui.Label('Metadata Error: ' + failure, {color: 'red'}));
+      return;
+    }
+    addExportLink('Download Run Metadata (CSV)', url);
+  });
+}
+
+/**
+ * Removes the temporary 'Area of Interest' outline added while a run is in
+ * progress.
+ */
+function removeAoiOutline() {
+  var layersToRemove = [];
+  map.layers().forEach(function(layer) {
+    if (layer.getName() === 'Area of Interest') {
+      layersToRemove.push(layer);
+    }
+  });
+  layersToRemove.forEach(function(layer) {
+    map.layers().remove(layer);
+  });
+}
 
 /**
- * Handles application errors by updating the UI.
+ * Handles application errors by updating the UI. When a run fails, its
+ * progress indicators are reset and its AOI is returned to the drawing layer.
  */
 function handleError(message) {
   statusLabel.setValue('Error: ' + message).style().set('color', 'red');
   runButton.setDisabled(false);
+  if (runningAoi) {
+    removeAoiOutline();
+    areaPanelLabel.setValue('Flooded Area: N/A');
+    var geometries = drawingTools.layers().get(0).geometries();
+    if (geometries.length() === 0) {
+      geometries.add(runningAoi);
+    }
+    runningAoi = null;
+  }
 }
 
 //================================================================================
@@ -816,4 +5420,8 @@ function handleError(message) {
 var melamchiCoords = {lon: 85.58, lat: 27.83};
 var defaultZoom = 12;
 map.setCenter(melamchiCoords.lon, melamchiCoords.lat, defaultZoom);
-statusLabel.setValue('Status: Ready. Please draw an Area of Interest (AOI).');
\ No newline at end of file
+statusLabel.setValue('Status: Ready. Please draw an Area of Interest (AOI).');
+
+// Defaults used by the presets, then any settings shared in the URL
+var defaultSettings = getSettings();
+restoreSettingsFromUrl();
\ No newline at end of file